@@ -2,6 +2,9 @@
 // Flood Fill
 // https://github.com/eleks/canvasPaint/blob/master/js/index.js
 
+// Returns the pixels it colored, as {x, y, image} where image is an
+// ImageData of their bounding box, transparent elsewhere; or undefined
+// if it colored none.
 CanvasRenderingContext2D.prototype.floodFill = function(x, y) {
   var context = this,
       canvas = context.canvas,
@@ -26,7 +29,7 @@ CanvasRenderingContext2D.prototype.floodFill = function(x, y) {
   context.fillRect(x, y, 1, 1);
   var fillARGB = getColorAt(x, y);
   if (seedARGB === fillARGB)
-    return;
+    return undefined;
 
   var sa = (seedARGB >> 24) & 0xff,
       sr = (seedARGB >> 16) & 0xff,
@@ -41,6 +44,11 @@ CanvasRenderingContext2D.prototype.floodFill = function(x, y) {
   var img = context.getImageData(0, 0, w, h);
   var imgData = img.data;
 
+  // The seed pixel was colored by fillRect above
+  var filled = new Uint8Array(w * h);
+  filled[y * w + x] = 1;
+  var minX = x, minY = y, maxX = x, maxY = y;
+
   var stack = [];
   stack.push(x);
   stack.push(y);
@@ -68,6 +76,12 @@ CanvasRenderingContext2D.prototype.floodFill = function(x, y) {
         imgData[nextPointOffset++] = fb;
         imgData[nextPointOffset]   = fa;
 
+        filled[nextPointY * w + nextPointX] = 1;
+        minX = Math.min(minX, nextPointX);
+        maxX = Math.max(maxX, nextPointX);
+        minY = Math.min(minY, nextPointY);
+        maxY = Math.max(maxY, nextPointY);
+
         stack.push(nextPointX);
         stack.push(nextPointY);
       }
@@ -75,4 +89,18 @@ CanvasRenderingContext2D.prototype.floodFill = function(x, y) {
   }
 
   context.putImageData(img, 0, 0);
+
+  var region = context.createImageData(maxX - minX + 1, maxY - minY + 1);
+  for (var ry = 0; ry < region.height; ry++) {
+    for (var rx = 0; rx < region.width; rx++) {
+      if (!filled[(minY + ry) * w + minX + rx])
+        continue;
+      var offset = (ry * region.width + rx) * 4;
+      region.data[offset] = fr;
+      region.data[offset + 1] = fg;
+      region.data[offset + 2] = fb;
+      region.data[offset + 3] = fa;
+    }
+  }
+  return {x: minX, y: minY, image: region};
 };
@@ -24,6 +24,13 @@ if (!('console' in window)) {
 function $(s) { return document.querySelector(s); }
 function $$(s) { return document.querySelectorAll(s); }
 
+function showError(e) {
+  var error = $('#display #error');
+  error.innerHTML = '';
+  error.appendChild(document.createTextNode(e.message));
+  error.classList.add('shown');
+}
+
 // Globals
 var logo, turtle;
 
@@ -52,11 +59,34 @@ var savehook;
 var historyhook;
 var clearhistoryhook;
 
-function initStorage(loadhook) {
+// Files for OPENREAD, OPENWRITE, etc., in the 'files' store
+function IndexedDBFileSystem(db) {
+  function request(mode, func) {
+    return new Promise(function(resolve, reject) {
+      var tx = db.transaction('files', mode);
+      var req = func(tx.objectStore('files'));
+      tx.oncomplete = function() { resolve(req.result); };
+      tx.onabort = function() { reject(tx.error); };
+    });
+  }
+  this.read = function(name) {
+    return request('readonly', function(store) { return store.get(name); });
+  };
+  this.write = function(name, text) {
+    return request('readwrite', function(store) { return store.put(text, name); })
+      .then(function() {});
+  };
+  this.remove = function(name) {
+    return request('readwrite', function(store) { return store['delete'](name); })
+      .then(function() {});
+  };
+}
+
+function initStorage(loadhook, filesystemhook) {
   if (!window.indexedDB)
     return;
 
-  var req = indexedDB.open('logo', 3);
+  var req = indexedDB.open('logo', 4);
   req.onblocked = function() {
     alert("Please close other Logo pages to allow database upgrade to proceed.");
   };
@@ -71,10 +101,16 @@ function initStorage(loadhook) {
     if (e.oldVersion < 3) {
       db.createObjectStore('history', {autoIncrement: true});
     }
+    if (e.oldVersion < 4) {
+      db.createObjectStore('files');
+    }
   };
   req.onsuccess = function() {
     var db = req.result;
 
+    if (filesystemhook)
+      filesystemhook(new IndexedDBFileSystem(db));
+
     var tx = db.transaction('procedures');
     tx.objectStore('procedures').openCursor().onsuccess = function(e) {
       var cursor = e.target.result;
@@ -195,6 +231,9 @@ function initInput() {
     return document.body.classList.contains('multi');
   };
 
+  // Number of runs not yet finished
+  var pending = 0;
+
   function run(remote) {
     if (remote !== true && window.TogetherJS && window.TogetherJS.running) {
       TogetherJS.send({type: "run"});
@@ -204,6 +243,8 @@ function initInput() {
 
     var v = input.getValue();
     if (v === '') {
+      // Running nothing takes the next step of a stepped procedure
+      step();
       return;
     }
     commandHistory.push(v);
@@ -212,21 +253,46 @@ function initInput() {
     }
     setTimeout(function() {
       document.body.classList.add('running');
+      // Keys pressed before a program starts aren't for it
+      if (pending++ === 0)
+        logo.stream.discardKeys();
+      // Typed lines and errors are added to any DRIBBLE transcript
+      logo.transcribe(v.replace(/^/gm, '? ') + '\n');
       logo.run(v).catch(function (e) {
-        error.innerHTML = '';
-        error.appendChild(document.createTextNode(e.message));
-        error.classList.add('shown');
+        logo.transcribe(e.message + '\n');
+        showError(e);
       }).then(function() {
-        document.body.classList.remove('running');
+        // Runs entered in a break loop finish before the paused one
+        if (--pending === 0)
+          document.body.classList.remove('running');
       });
     }, 100);
   }
 
   function stop() {
     logo.bye();
+    logo.stream.cancel();
+    turtle.finish();
+    step();
     document.body.classList.remove('running');
   }
 
+  // Single-stepping (see STEP): the interpreter waits on this until
+  // the user presses Enter or the Step button.
+  var stepResolve = null;
+  logo.stephook = function() {
+    document.body.classList.add('stepping');
+    return new Promise(function(resolve) { stepResolve = resolve; });
+  };
+
+  function step() {
+    if (!stepResolve) return;
+    var resolve = stepResolve;
+    stepResolve = null;
+    document.body.classList.remove('stepping');
+    resolve();
+  }
+
   input.run = run;
 
   function clear(remote) {
@@ -301,6 +367,10 @@ function initInput() {
     input.setFocus = function() {
       (isMulti() ? cm2 : cm).focus();
     };
+    input.setPrompt = function(prompt) {
+      cm.setOption('placeholder', prompt || placeholders.single);
+      cm2.setOption('placeholder', prompt || placeholders.multi);
+    };
 
   } else {
     // Fallback in case of no CodeMirror
@@ -347,8 +417,24 @@ function initInput() {
     input.setFocus = function() {
       $(isMulti() ? '#logo-ta-multi-line' : '#logo-ta-single-line').focus();
     };
+    input.setPrompt = function(prompt) {
+      $('#logo-ta-single-line').placeholder = prompt || placeholders.single;
+      $('#logo-ta-multi-line').placeholder = prompt || placeholders.multi;
+    };
   }
 
+  // Break loop (see PAUSE): prompt with the paused procedure's name
+  // until CONTINUE.
+  var placeholders = {
+    single: $('#logo-ta-single-line').placeholder,
+    multi: $('#logo-ta-multi-line').placeholder
+  };
+  logo.pausehook = function(paused, procname) {
+    document.body.classList.toggle('paused', paused);
+    input.setPrompt(paused ? (procname || '') + '?' : undefined);
+    input.setFocus();
+  };
+
   input.setFocus();
   $('#input').addEventListener('click', function() {
     input.setFocus();
@@ -370,6 +456,7 @@ function initInput() {
   $('#run').addEventListener('click', run);
   $('#stop').addEventListener('click', stop);
   $('#clear').addEventListener('click', clear);
+  $('#step').addEventListener('click', step);
 
   window.addEventListener('message', function(e) {
     if ('example' in e.data) {
@@ -518,14 +605,108 @@ window.addEventListener('DOMContentLoaded', function() {
   }());
 
 
+  // Lines for READWORD, READLIST, etc. are typed into a field at the
+  // end of the console, and left there once entered. The field starts
+  // out holding value, if given.
+  var cancelInput = null;
+  function inlineInput(prompt, value) {
+    return new Promise(function(resolve) {
+      var div = $('#overlay');
+      var line = document.createElement('span');
+      line.className = 'input-line';
+      line.appendChild(document.createTextNode(prompt || ''));
+      var field = document.createElement('input');
+      field.setAttribute('autocomplete', 'off');
+      field.setAttribute('spellcheck', 'false');
+      field.value = value || '';
+      line.appendChild(field);
+      div.appendChild(line);
+      div.scrollTop = div.scrollHeight;
+      field.focus();
+
+      function finish(result) {
+        cancelInput = null;
+        div.removeChild(line);
+        if (result !== undefined)
+          div.appendChild(document.createTextNode((prompt || '') + result + '\n'));
+        div.scrollTop = div.scrollHeight;
+        resolve(result);
+      }
+      cancelInput = function() { finish(undefined); };
+
+      field.addEventListener('keydown', function(e) {
+        // Escape ends the input with nothing read
+        if (e.key !== 'Enter' && e.key !== 'Escape')
+          return;
+        e.preventDefault();
+        finish(e.key === 'Enter' ? field.value : undefined);
+      });
+    });
+  }
+
+  // Keys pressed while the display has focus are queued for READCHAR
+  // and KEYP. Keys other than characters are given these codes.
+  var KEY_CODES = {
+    Backspace: 8, Tab: 9, Enter: 10, Escape: 27, Delete: 127,
+    ArrowLeft: 28, ArrowRight: 29, ArrowUp: 30, ArrowDown: 31
+  };
+  var keyQueue = [], keyWaiter = null;
+  $('#display').addEventListener('keydown', function(e) {
+    // Not keys typed into a READWORD input line
+    if (e.target !== $('#display') || e.ctrlKey || e.metaKey || e.altKey)
+      return;
+    var c = (e.key.length === 1) ? e.key :
+          (e.key in KEY_CODES) ? String.fromCharCode(KEY_CODES[e.key]) : undefined;
+    if (c === undefined)
+      return;
+    e.preventDefault();
+    if (keyWaiter) {
+      var resolve = keyWaiter;
+      keyWaiter = null;
+      resolve(c);
+    } else {
+      keyQueue.push(c);
+      logo.fireEvent('key');
+    }
+  });
+
   var stream = {
     read: function(s) {
-      return window.prompt(s ? s : "");
+      return inlineInput(s);
+    },
+    readchar: function() {
+      if (keyQueue.length)
+        return keyQueue.shift();
+      $('#display').focus();
+      return new Promise(function(resolve) { keyWaiter = resolve; });
+    },
+    keyp: function() {
+      return keyQueue.length > 0;
+    },
+    // Not called by the interpreter: the page drops keys queued for
+    // READCHAR when a program starts or is stopped
+    discardKeys: function() {
+      keyQueue = [];
+    },
+    cancel: function() {
+      keyQueue = [];
+      if (cancelInput)
+        cancelInput();
+      if (keyWaiter) {
+        var resolve = keyWaiter;
+        keyWaiter = null;
+        resolve(undefined);
+      }
     },
     write: function() {
       var div = $('#overlay');
+      // Output while waiting for input goes above the input line
+      var line = div.querySelector('.input-line');
       for (var i = 0; i < arguments.length; i += 1) {
-        div.innerHTML += arguments[i];
+        if (line)
+          line.insertAdjacentHTML('beforebegin', arguments[i]);
+        else
+          div.innerHTML += arguments[i];
       }
       div.scrollTop = div.scrollHeight;
     },
@@ -546,6 +727,31 @@ window.addEventListener('DOMContentLoaded', function() {
     turtle_ctx,
     canvas_element.width, canvas_element.height);
 
+  // Pointer position and buttons over the drawing, for MOUSEPOS, etc.
+  // The overlay covers the canvases, so listen on the display.
+  (function() {
+    var BUTTONS = [1, 3, 2]; // DOM left, middle, right
+    function canvasPoint(e) {
+      var rect = canvas_element.getBoundingClientRect();
+      return [(e.clientX - rect.left) * canvas_element.width / rect.width,
+              (e.clientY - rect.top) * canvas_element.height / rect.height];
+    }
+    $('#display').addEventListener('pointermove', function(e) {
+      var p = canvasPoint(e);
+      turtle.mousemove(p[0], p[1]);
+      logo.fireEvent('mousemove');
+    });
+    $('#display').addEventListener('pointerdown', function(e) {
+      var p = canvasPoint(e);
+      turtle.mousedown(p[0], p[1], BUTTONS[e.button] || 1);
+      logo.fireEvent('click');
+    });
+    window.addEventListener('pointerup', function(e) {
+      var p = canvasPoint(e);
+      turtle.mouseup(p[0], p[1]);
+    });
+  }());
+
   logo = new LogoInterpreter(
     turtle, stream,
     function (name, def) {
@@ -553,9 +759,15 @@ window.addEventListener('DOMContentLoaded', function() {
         savehook(name, def);
       }
     });
+  logo.errorhook = function(e) {
+    logo.transcribe(e.message + '\n');
+    showError(e);
+  };
   logo.run('cs');
   initStorage(function (def) {
     logo.run(def);
+  }, function (filesystem) {
+    logo.filesystem = filesystem;
   });
 
   function saveDataAs(dataURL, filename) {
@@ -583,6 +795,38 @@ window.addEventListener('DOMContentLoaded', function() {
     if (!saveDataAs(url, 'logo_drawing.png'))
       alert("Sorry, not supported by your browser");
   });
+  $('#savesvg').addEventListener('click', function() {
+    var url = 'data:image/svg+xml,' + encodeURIComponent(turtle.getsvg());
+    if (!saveDataAs(url, 'logo_drawing.svg'))
+      alert("Sorry, not supported by your browser");
+  });
+  $('#savetranscript').addEventListener('click', function() {
+    function download(name) {
+      (name ? logo.filesystem.read(name) : Promise.resolve()).then(function(text) {
+        if (text === undefined) {
+          var message = "No transcript: use DRIBBLE to start one";
+          showError(new Error((logo.localize && logo.localize(message)) || message));
+          return;
+        }
+        var url = 'data:text/plain,' + encodeURIComponent(String(text).replace(/\n/g, '\r\n'));
+        if (!saveDataAs(url, name.replace(/^.*\//, '')))
+          alert("Sorry, not supported by your browser");
+      });
+    }
+    // Transcripts from earlier sessions are kept in the file system
+    // too, so the name can be changed in the console first - unless a
+    // program is reading a line there.
+    if (cancelInput) {
+      download(logo.transcript());
+      return;
+    }
+    inlineInput($('#savetranscript').textContent + ': ', logo.transcript())
+      .then(function(name) {
+        // Escape cancels the download
+        if (name !== undefined)
+          download(name);
+      });
+  });
   $('#clearhistory').addEventListener('click', function() {
     if (!confirm('Clear history: Are you sure?')) return;
     clearhistoryhook();
@@ -56,9 +56,56 @@ function LogoInterpreter(turtle, stream, savehook)
     return string;
   }
 
-  // Shortcut for common use of format() and __()
-  function err(string, params) {
-    return new Error(format(__(string), params));
+  // Shortcut for common use of format() and __(). The code is a
+  // stable error number (matching UCB Logo where possible) reported
+  // by ERROR; it may be passed in place of params:
+  //   err("Division by zero", 7)
+  //   err("Don't know how to {name:U}", { name: name }, 13)
+  function err(string, params, code) {
+    if (typeof params === 'number') {
+      code = params;
+      params = undefined;
+    }
+    return logoError(format(__(string), params), code);
+  }
+
+  // Error codes used:
+  //   5  Procedure didn't output
+  //   6  Not enough inputs
+  //   7  Procedure doesn't like input
+  //   8  Too many inputs
+  //   9  Don't know what to do with value
+  //  10  ')' not found
+  //  11  Variable has no value
+  //  13  Don't know how to procedure
+  //  14  Can't find catch tag
+  //  17  Already dribbling
+  //  18  File system error
+  //  21  THROW "ERROR
+  //  22  Procedure is a primitive
+  //  26  Unexpected ']'
+  //  27  Unexpected '}'
+  //  29  Macro didn't output a list
+  //  31  Can only be used inside a procedure (or PAUSE, or a template)
+  //  32  APPLY doesn't like input
+  //  35  THROW "ERROR with message
+  //  39  Missing space
+  function logoError(message, code) {
+    var e = new Error(message);
+    e.code = code;
+    e.proc = currentProcedure();
+    return e;
+  }
+
+  // Name of the innermost running user-defined procedure, or
+  // undefined at top level.
+  function currentProcedure() {
+    for (var i = self.stack.length - 1; i >= 0; --i) {
+      var proc = self.routines.get(self.stack[i]);
+      if (proc && !proc.primitive)
+        return self.stack[i];
+    }
+    return undefined;
   }
 
 
@@ -74,6 +121,35 @@ function LogoInterpreter(turtle, stream, savehook)
   //   }[name];
   // };
   this.keywordAlias = null;
+
+  // To be notified when PAUSE enters or leaves a break loop (e.g. to
+  // change the input prompt), assign a function. Input will be true
+  // and the name of the paused procedure (undefined at top level),
+  // or false once every break loop has been left.
+  // logo.pausehook = function(paused, procname) {
+  //   prompt.textContent = paused ? (procname || '') + '?' : '';
+  // };
+  this.pausehook = null;
+
+  // To single-step procedures marked with STEP, assign a function.
+  // Input will be the text of the instruction about to run; it should
+  // return a promise that resolves when the user is ready to run it.
+  // Without it, instructions are echoed but not waited for.
+  this.stephook = null;
+
+  // To be told of errors in event handlers and EVERY timers, which have
+  // no caller to report them to, assign a function taking the error.
+  this.errorhook = null;
+
+  // Files for OPENREAD, OPENWRITE, etc. are kept in a file system with
+  // these methods, each returning a promise:
+  //   read(name)           - contents of the file, or undefined if none
+  //   write(name, text)    - create or replace the file
+  //   remove(name)         - delete the file
+  // The default keeps files in memory; assign another to keep them
+  // between sessions.
+  this.filesystem = new MemoryFileSystem();
+
   function isKeyword(atom, match) {
     if (Type(atom) !== 'word')
       return false;
@@ -143,6 +219,19 @@ function LogoInterpreter(turtle, stream, savehook)
     });
   }
 
+  // Returns a function for a loop to call each time around: it yields
+  // (see promiseYield) once ms milliseconds have passed since it last
+  // did, so the loop can be stopped without being slowed down much.
+  // Returns a promise if it yields, otherwise undefined.
+  function promiseYielder(ms) {
+    var yielded = Date.now();
+    return function() {
+      if (Date.now() - yielded <= ms)
+        return undefined;
+      return promiseYield().then(function() { yielded = Date.now(); });
+    };
+  }
+
   // Based on: https://www.jbouchard.net/chris/blog/2008/01/currying-in-javascript-fun-for-whole.html
   // Argument is `$$func$$` to avoid issue if passed function is named `func`.
   function to_arity($$func$$, arity) {
@@ -224,6 +313,23 @@ function LogoInterpreter(turtle, stream, savehook)
     });
   }
 
+  function MemoryFileSystem() {
+    var files = new Map();
+    Object.assign(this, {
+      read: function(name) {
+        return Promise.resolve(files.get(name));
+      },
+      write: function(name, text) {
+        files.set(name, String(text));
+        return Promise.resolve();
+      },
+      remove: function(name) {
+        files['delete'](name);
+        return Promise.resolve();
+      }
+    });
+  }
+
   function LogoArray(size, origin) {
     this.array = [];
     this.array.length = size;
@@ -241,14 +347,14 @@ function LogoInterpreter(turtle, stream, savehook)
       i = Number(i)|0;
       i -= this.origin;
       if (i < 0 || i >= this.array.length)
-        throw err("{_PROC_}: Index out of bounds");
+        throw err("{_PROC_}: Index out of bounds", 7);
       return this.array[i];
     },
     setItem: function(i, v) {
       i = Number(i)|0;
       i -= this.origin;
       if (i < 0 || i >= this.array.length)
-        throw err("{_PROC_}: Index out of bounds");
+        throw err("{_PROC_}: Index out of bounds", 7);
       this.array[i] = v;
     },
     list: function() {
@@ -276,9 +382,22 @@ function LogoInterpreter(turtle, stream, savehook)
     },
     get: function() {
       var c = this._next();
-      this._skip();
+      // Comments don't start inside vertical bars
+      if (c !== '|')
+        this._skip();
       return c;
     },
+    // Call after an opening vertical bar: the characters up to the
+    // closing bar, with no special meaning except for backslash.
+    vbar: function() {
+      var s = '';
+      while (!this.eof() && this.string.charAt(this.index) !== '|') {
+        var c = this._next();
+        s += (c.charAt(0) === '\\') ? c.charAt(1) : c;
+      }
+      this.get();
+      return s;
+    },
     _next: function() {
       var c = this.string.charAt(this.index++);
       if (c === '\\')
@@ -334,10 +453,24 @@ function LogoInterpreter(turtle, stream, savehook)
   // Used to stop processing cleanly
   function Bye() { }
 
+  // Used to unwind to a matching CATCH (thrown/caught)
+  function Throw(tag, value) { this.tag = tag; this.value = value; }
+
+  // Used to jump to a TAG in the procedure body (thrown/caught)
+  function Goto(tag) { this.tag = tag; }
+
+  // Used to return a call in tail position to the caller's frame, which
+  // makes it in place of a nested call (see defineProc). Set output if
+  // the call's output becomes the caller's (OUTPUT), rather than being
+  // an error (last instruction of the body).
+  function TailCall(name, proc, args, output) {
+    this.name = name; this.proc = proc; this.args = args; this.output = output;
+  }
+
   function Type(atom) {
     if (atom === undefined) {
       // TODO: Should be caught higher upstream than this
-      throw err("No output from procedure");
+      throw err("No output from procedure", 5);
     } else if (typeof atom === 'string' || typeof atom === 'number') {
       return 'word';
     } else if (Array.isArray(atom)) {
@@ -416,7 +549,7 @@ function LogoInterpreter(turtle, stream, savehook)
       } else if (!inChars(stream.peek(), WORD_DELIMITER)) {
         atom = parseWord(stream);
       } else {
-        throw err("Couldn't parse: '{string}'", { string: stream.rest() });
+        throw err("Couldn't parse: '{string}'", { string: stream.rest() }, 7);
       }
       atoms.push(atom);
       prev = atom;
@@ -445,7 +578,10 @@ function LogoInterpreter(turtle, stream, savehook)
     var word = '';
     while (!stream.eof() && QUOTED_DELIMITER.indexOf(stream.peek()) === -1) {
       var c = stream.get();
-      word += (c.charAt(0) === '\\') ? c.charAt(1) : c.charAt(0);
+      if (c === '|')
+        word += stream.vbar();
+      else
+        word += (c.charAt(0) === '\\') ? c.charAt(1) : c.charAt(0);
     }
     return word;
   }
@@ -465,7 +601,10 @@ function LogoInterpreter(turtle, stream, savehook)
     var word = '';
     while (!stream.eof() && WORD_DELIMITER.indexOf(stream.peek()) === -1) {
       var c = stream.get();
-      word += (c.charAt(0) === '\\') ? c.charAt(1) : c.charAt(0);
+      if (c === '|')
+        word += stream.vbar();
+      else
+        word += (c.charAt(0) === '\\') ? c.charAt(1) : c.charAt(0);
     }
     return word;
   }
@@ -533,7 +672,7 @@ function LogoInterpreter(turtle, stream, savehook)
 
   function parseList(stream) {
     var list = [],
-        atom = '',
+        atom = '', vbar = false,
         c, r;
 
     while (true) {
@@ -542,17 +681,23 @@ function LogoInterpreter(turtle, stream, savehook)
       } while (isWS(c));
 
       while (c && !isWS(c) && '[]{}'.indexOf(c) === -1) {
-        atom += c;
+        if (c === '|') {
+          atom += stream.vbar();
+          vbar = true;
+        } else {
+          atom += c;
+        }
         c = stream.get();
       }
 
-      if (atom.length) {
+      if (atom.length || vbar) {
         list.push(atom);
         atom = '';
+        vbar = false;
       }
 
       if (!c)
-        throw err("Expected ']'");
+        throw err("Expected ']'", 26);
       if (isWS(c))
         continue;
       if (c === ']')
@@ -565,14 +710,14 @@ function LogoInterpreter(turtle, stream, savehook)
         list.push(parseArray(stream));
         continue;
       }
-      throw err("Unexpected '{c}'", {c: c});
+      throw err("Unexpected '{c}'", {c: c}, c === ']' ? 26 : 27);
     }
   }
 
   function parseArray(stream) {
     var list = [],
         origin = 1,
-        atom = '',
+        atom = '', vbar = false,
         c, r;
 
     while (true) {
@@ -581,17 +726,23 @@ function LogoInterpreter(turtle, stream, savehook)
       } while (isWS(c));
 
       while (c && !isWS(c) && '[]{}'.indexOf(c) === -1) {
-        atom += c;
+        if (c === '|') {
+          atom += stream.vbar();
+          vbar = true;
+        } else {
+          atom += c;
+        }
         c = stream.get();
       }
 
-      if (atom.length) {
+      if (atom.length || vbar) {
         list.push(atom);
         atom = '';
+        vbar = false;
       }
 
       if (!c)
-        throw err("Expected '}'");
+        throw err("Expected '}'", 27);
       if (isWS(c))
         continue;
       if (c === '}') {
@@ -602,7 +753,7 @@ function LogoInterpreter(turtle, stream, savehook)
           while (isWS(stream.peek()))
             stream.get();
           origin = parseInteger(stream);
-          if (!origin) throw err("Expected number after @");
+          if (!origin) throw err("Expected number after @", 7);
         }
         return LogoArray.from(list, origin);
       }
@@ -614,12 +765,27 @@ function LogoInterpreter(turtle, stream, savehook)
         list.push(parseArray(stream));
         continue;
       }
-      throw err("Unexpected '{c}'", {c: c});
+      throw err("Unexpected '{c}'", {c: c}, c === ']' ? 26 : 27);
     }
   }
 
+  // Characters that split a member of a list or array, and a word of
+  // an instruction line, when parsed
+  var LIST_VBAR_CHARS = WS_CHARS + '[]{}';
+  var LINE_VBAR_CHARS = WS_CHARS + '[](){};';
+
+  // Word with vertical bars around it (after any leading quote or
+  // colon) if it contains any of chars, so it parses back as one word
+  function vbarWord(word, chars) {
+    word = String(word);
+    if (!word.split('').some(function(c) { return inChars(c, chars); }))
+      return word;
+    var prefix = /^["':]/.test(word) ? word.charAt(0) : '';
+    return prefix + '|' + word.substring(prefix.length) + '|';
+  }
+
   function reparse(list) {
-    return parse(stringify_nodecorate(list).replace(/([\\;])/g, '\\$1'));
+    return parse(vbarMembers(list).replace(/([\\;])/g, '\\$1'));
   }
 
   function maybegetvar(name) {
@@ -631,7 +797,7 @@ function LogoInterpreter(turtle, stream, savehook)
     var value = maybegetvar(name);
     if (value !== undefined)
       return value;
-    throw err("Don't know about variable {name:U}", { name: name });
+    throw err("Don't know about variable {name:U}", { name: name }, 11);
   }
 
   function lvalue(name) {
@@ -650,6 +816,8 @@ function LogoInterpreter(turtle, stream, savehook)
     var lval = lvalue(name);
     if (lval) {
       lval.value = value;
+      if (lval.traced)
+        trace('make "' + name + ' ' + traceValue(value));
     } else {
       // Otherwise, define a global
       lval = {value: value};
@@ -764,12 +932,12 @@ function LogoInterpreter(turtle, stream, savehook)
           case "*": return defer(function(lhs, rhs) { return aexpr(lhs) * aexpr(rhs); }, lhs, rhs);
           case "/": return defer(function(lhs, rhs) {
             var n = aexpr(lhs), d = aexpr(rhs);
-            if (d === 0) { throw err("Division by zero"); }
+            if (d === 0) { throw err("Division by zero", 7); }
             return n / d;
           }, lhs, rhs);
           case "%": return defer(function(lhs, rhs) {
             var n = aexpr(lhs), d = aexpr(rhs);
-            if (d === 0) { throw err("Division by zero"); }
+            if (d === 0) { throw err("Division by zero", 7); }
             return n % d;
           }, lhs, rhs);
           default: throw new Error("Internal error in expression parser");
@@ -808,7 +976,7 @@ function LogoInterpreter(turtle, stream, savehook)
 
   function finalExpression(list) {
     if (!list.length)
-      throw err("Unexpected end of instructions");
+      throw err("Unexpected end of instructions", 6);
 
     var atom = list.shift();
 
@@ -849,9 +1017,9 @@ function LogoInterpreter(turtle, stream, savehook)
         result = expression(list);
 
         if (!list.length)
-          throw err("Expected ')'");
+          throw err("Expected ')'", 10);
         if (!peek(list, [')']))
-          throw err("Expected ')', saw {word}", { word: list.shift() });
+          throw err("Expected ')', saw {word}", { word: list.shift() }, 10);
         list.shift();
         return result;
       }
@@ -867,16 +1035,20 @@ function LogoInterpreter(turtle, stream, savehook)
   self.dispatch = function(name, tokenlist, natural) {
     name = name.toUpperCase();
     var procedure = self.routines.get(name);
+    var m;
+    if (!procedure && (m = /^\?(\d+)$/.exec(name))) {
+      // Explicit-slot template input: ?2 is short for (? 2)
+      return self.dispatch('?', [m[1], ')'], false);
+    }
     if (!procedure) {
 
       // Give a helpful message in a common error case.
-      var m;
       if ((m = /^(\w+?)(\d+)$/.exec(name)) && self.routines.get(m[1])) {
         throw err("Need a space between {name:U} and {value}",
-                  { name: m[1], value: m[2] });
+                  { name: m[1], value: m[2] }, 39);
       }
 
-      throw err("Don't know how to {name:U}", { name: name });
+      throw err("Don't know how to {name:U}", { name: name }, 13);
     }
 
     if (procedure.special) {
@@ -913,12 +1085,39 @@ function LogoInterpreter(turtle, stream, savehook)
       };
     }
 
-    return function() {
+    var call = function() {
       self.stack.push(name);
       return promiseFinally(serialExecute(args).then(function(args) {
         return procedure.apply(null, args);
       }), function() { self.stack.pop(); });
     };
+
+    if (procedure.body && !procedure.macro) {
+      // In tail position, evaluate the inputs but leave the call itself
+      // to the caller's frame.
+      call.tailcall = function(output) {
+        self.stack.push(name);
+        return promiseFinally(serialExecute(args).then(function(args) {
+          return new TailCall(name, procedure, args, output);
+        }), function() { self.stack.pop(); });
+      };
+    }
+
+    // OUTPUT of a call is a tail call too, when it is a statement of
+    // the procedure's body (see execute) rather than of an instruction
+    // list that REPEAT, CATCH or the like has to see finish.
+    if (procedure.tailoutput && args[0] && args[0].tailcall) {
+      var tailcall = args[0].tailcall;
+      call.tailoutput = true;
+      call.tailcall = function() {
+        self.stack.push(name);
+        return promiseFinally(tailcall(true).then(function(result) {
+          return procedure(result);
+        }), function() { self.stack.pop(); });
+      };
+    }
+
+    return call;
   };
 
   //----------------------------------------------------------------------
@@ -926,7 +1125,7 @@ function LogoInterpreter(turtle, stream, savehook)
   //----------------------------------------------------------------------
   function aexpr(atom) {
     if (atom === undefined) {
-      throw err("Expected number");
+      throw err("Expected number", 7);
     }
     switch (Type(atom)) {
     case 'word':
@@ -934,18 +1133,18 @@ function LogoInterpreter(turtle, stream, savehook)
         return parseFloat(atom);
       break;
     }
-    throw err("Expected number");
+    throw err("Expected number", 7);
   }
 
   //----------------------------------------------------------------------
   // String expression convenience function
   //----------------------------------------------------------------------
   function sexpr(atom) {
-    if (atom === undefined) throw err("Expected string");
+    if (atom === undefined) throw err("Expected string", 7);
     if (atom === UNARY_MINUS) return '-';
     if (Type(atom) === 'word') return String(atom);
 
-    throw new err("Expected string");
+    throw new err("Expected string", 7);
   }
 
   //----------------------------------------------------------------------
@@ -959,7 +1158,7 @@ function LogoInterpreter(turtle, stream, savehook)
   // use sifw().
   function lexpr(atom) {
     if (atom === undefined)
-      throw err("{_PROC_}: Expected list");
+      throw err("{_PROC_}: Expected list", 7);
     switch (Type(atom)) {
     case 'word':
       return Array.from(String(atom));
@@ -967,7 +1166,7 @@ function LogoInterpreter(turtle, stream, savehook)
       return copy(atom);
     }
 
-    throw err("{_PROC_}: Expected list");
+    throw err("{_PROC_}: Expected list", 7);
   }
 
   // 'stringify if word'
@@ -1025,6 +1224,7 @@ function LogoInterpreter(turtle, stream, savehook)
   self.execute = function(statements, options) {
     options = Object(options);
     // Operate on a copy so the original is not destroyed
+    var original = statements;
     statements = statements.slice();
 
     var lastResult;
@@ -1038,21 +1238,79 @@ function LogoInterpreter(turtle, stream, savehook)
         resolve(lastResult);
         return;
       }
-      Promise.resolve(evaluateExpression(statements))
+      // Events that arrived since the last statement are handled first
+      if (readyHandlers.length && !handlingEvents) {
+        runReadyHandlers().then(loop, reject);
+        return;
+      }
+
+      // Record the instruction line that failed, for ERROR
+      var start = original.length - statements.length;
+      function fail(e) {
+        if (e instanceof Goto && options.body) {
+          statements = original.slice(findTag(original, e.tag));
+          loop();
+          return;
+        }
+        if (e instanceof Error && 'code' in e && e.line === undefined) {
+          e.line = original.slice(start, original.length - statements.length)
+            .map(function(atom) { return atom === UNARY_MINUS ? '-' : atom; });
+          // The scopes where the error occurred are still live, so
+          // this is the place to run ERRACT.
+          Promise.resolve(errorAction(e))
+            .then(function() { reject(e); }, reject);
+          return;
+        }
+        reject(e);
+      }
+
+      var result;
+      try {
+        var instruction = expression(statements);
+        if (options.tail && instruction.tailcall && (!statements.length || instruction.tailoutput))
+          instruction = instruction.tailcall.bind(null, false);
+        // Inside a stepped procedure (see STEP)?
+        if (self.scopes[self.scopes.length - 1]._stepped)
+          result = step(original.slice(start, original.length - statements.length)).then(instruction);
+        else
+          result = instruction();
+      } catch (e) {
+        fail(e);
+        return;
+      }
+      Promise.resolve(result)
         .then(function(result) {
-          if (result !== undefined && !options.returnResult) {
-            reject(err("Don't know what to do with {result}", {result: result}));
+          if (result !== undefined && !options.returnResult && !(result instanceof TailCall)) {
+            fail(err("Don't know what to do with {result}", {result: result}, 9));
             return;
           }
           lastResult = result;
           loop();
-        }, reject);
+        }, fail);
     });
   };
 
+  // Echo an instruction of a stepped procedure, then wait for the
+  // user to acknowledge it before it runs.
+  function step(atoms) {
+    var text = unparse(atoms);
+    terminalWrite(text, "\n");
+    return Promise.resolve(self.stephook ? self.stephook(text) : undefined)
+      .then(function() {
+        if (self.forceBye) {
+          self.forceBye = false;
+          throw new Bye;
+        }
+      });
+  }
+
   // FIXME: should this confirm that something is running?
   self.bye = function() {
-    self.forceBye = true;
+    clearEvents();
+    if (pauses.length)
+      abandonPauses();
+    else
+      self.forceBye = true;
   };
 
   var lastRun = Promise.resolve();
@@ -1070,38 +1328,60 @@ function LogoInterpreter(turtle, stream, savehook)
 
   self.run = function(string, options) {
     options = Object(options);
-    return self.queueTask(function() {
+    function task() {
       // Parse it
       var atoms = parse(string);
 
       // And execute it!
       return self.execute(atoms, options)
         .catch(function(err) {
+          writers = [];
           if (!(err instanceof Bye))
             throw err;
+          // BYE from a break loop stops the paused procedures too
+          abandonPauses();
         });
-    });
-  };
+    }
 
-  self.definition = function(name, proc) {
+    // In a break loop (see PAUSE) run right away, in the scope of the
+    // paused procedure, rather than waiting for it to finish.
+    if (pauses.length)
+      return Promise.resolve().then(task);
+    return self.queueTask(task);
+  };
 
-    function defn(atom) {
+  // Text of a list of parsed atoms, as it could be typed
+  function unparse(atoms) {
+    function member(atom) {
+      return defn(atom, LIST_VBAR_CHARS);
+    }
+    function defn(atom, chars) {
       switch (Type(atom)) {
-      case 'word': return String(atom);
-      case 'list': return '[ ' + atom.map(defn).join(' ') + ' ]';
-      case 'array': return '{ ' + atom.list().map(defn).join(' ') + ' }' +
+      case 'word': return vbarWord(atom, chars);
+      case 'list': return '[ ' + atom.map(member).join(' ') + ' ]';
+      case 'array': return '{ ' + atom.list().map(member).join(' ') + ' }' +
           (atom.origin === 1 ? '' : '@' + atom.origin);
       default: throw new Error("Internal error: unknown type");
       }
     }
 
-    var def = "to " + name;
+    return atoms.map(function(atom) {
+      return defn(atom, LINE_VBAR_CHARS);
+    }).join(" ").replace(new RegExp(UNARY_MINUS + ' ', 'g'), '-');
+  }
+
+  self.definition = function(name, proc) {
+    var def = (proc.macro ? ".macro " : "to ") + name;
     if (proc.inputs.length) {
       def += " ";
-      def += proc.inputs.map(function(a) { return ":" + a; }).join(" ");
+      def += proc.inputs.map(function(a) {
+        if (Type(a) === 'list')
+          return "[:" + unparse(a) + "]";
+        return isNumber(a) ? String(a) : ":" + a;
+      }).join(" ");
     }
     def += "\n";
-    def += "  " + proc.block.map(defn).join(" ").replace(new RegExp(UNARY_MINUS + ' ', 'g'), '-');
+    def += "  " + unparse(proc.block);
     def += "\n" + "end";
 
     return def;
@@ -1171,6 +1451,43 @@ function LogoInterpreter(turtle, stream, savehook)
     }
   }
 
+  // As stringify, but words within lists and arrays are vertical-barred
+  // if needed, so the text parses back as the same thing: for SHOW and
+  // RUN rather than PRINT.
+  function stringify_vbar(thing) {
+    switch (Type(thing)) {
+    case 'list':
+      return "[" + vbarMembers(thing) + "]";
+    case 'array':
+      return "{" + vbarMembers(thing.list()) + "}" +
+        (thing.origin === 1 ? '' : '@' + thing.origin);
+    default:
+      return sexpr(thing);
+    }
+  }
+
+  function vbarMembers(list) {
+    return list.map(function(thing) {
+      if (Type(thing) === 'word')
+        return sexpr(thing) === '' ? '||' : vbarWord(sexpr(thing), LIST_VBAR_CHARS);
+      return stringify_vbar(thing);
+    }).join(" ");
+  }
+
+  // Write a line of TRACE output, indented by the number of traced
+  // procedures running (see body)
+  var traceDepth = 0;
+  function trace(line) {
+    terminalWrite(' '.repeat(traceDepth), line, "\n");
+  }
+
+  // Format a value the way it would be typed: words quoted
+  function traceValue(thing) {
+    if (Type(thing) === 'word' && !isNumber(thing))
+      return vbarWord('"' + thing, LINE_VBAR_CHARS);
+    return stringify_vbar(thing);
+  }
+
   function def(name, fn, props) {
     if (props) {
       Object.keys(props).forEach(function(key) {
@@ -1190,15 +1507,18 @@ function LogoInterpreter(turtle, stream, savehook)
   //
   // Procedures and Flow Control
   //
-  def("to", function(list) {
+  // Define a procedure (or macro) from the tokens of TO (or .MACRO)
+  function to(list, macro) {
     var name = sexpr(list.shift());
     if (isNumber(name) || isOperator(name))
-      throw err("TO: Expected identifier");
+      throw err("{_PROC_}: Expected identifier", 7);
 
     var inputs = [];
     var block = [];
 
-    // Process inputs, then the statements of the block
+    // Process inputs, then the statements of the block. Inputs are
+    // :required, [:optional default], [:rest] and a default number of
+    // inputs, which can only follow optional or rest inputs.
     var state_inputs = true, sawEnd = false;
     while (list.length) {
       var atom = list.shift();
@@ -1207,47 +1527,195 @@ function LogoInterpreter(turtle, stream, savehook)
         break;
       } else if (state_inputs && Type(atom) === 'word' && String(atom).charAt(0) === ':') {
         inputs.push(atom.substring(1));
+      } else if (state_inputs && Type(atom) === 'list' && atom.length &&
+                 Type(atom[0]) === 'word' && String(atom[0]).charAt(0) === ':') {
+        inputs.push([atom[0].substring(1)].concat(atom.slice(1)));
+      } else if (state_inputs && isNumber(atom) && inputs.length &&
+                 Type(inputs[inputs.length - 1]) === 'list') {
+        inputs.push(Number(atom));
+        state_inputs = false;
       } else {
         state_inputs = false;
         block.push(atom);
       }
     }
     if (!sawEnd)
-      throw err("TO: Expected END");
+      throw err("{_PROC_}: Expected END", 7);
+
+    defineProc(name, inputs, block, macro);
+  }
 
-    defineProc(name, inputs, block);
+  def("to", function(list) {
+    to(list, false);
   }, {special: true});
 
-  function defineProc(name, inputs, block) {
+  // How long a run of tail calls, or a CASCADE or TRANSFER, goes
+  // before yielding to the event loop
+  var TAIL_YIELD_MS = 50;
+
+  // Make a TailCall as an ordinary call, nested in the current frame
+  function nestedCall(call) {
+    self.stack.push(call.name);
+    return promiseFinally(call.proc.apply(null, call.args),
+                          function() { self.stack.pop(); });
+  }
+
+  function defineProc(name, inputs, block, macro) {
     if (self.routines.has(name) && self.routines.get(name).primitive) {
-      throw err("{_PROC_}: Can't redefine primitive {name:U}", { name: name });
+      throw err("{_PROC_}: Can't redefine primitive {name:U}", { name: name }, 22);
     }
 
-    // Closure over inputs and block to handle scopes, arguments and outputs
-    var func = function() {
+    // Inputs are names (required), [name default ...] lists (optional),
+    // a [name] list (rest) and a default number of inputs, as in TEXT.
+    var required = [], optional = [], rest, arity;
+    inputs.forEach(function(input) {
+      if (Type(input) === 'list') {
+        input = lexpr(input);
+        if (input.length === 1)
+          rest = sexpr(input[0]);
+        else
+          optional.push({name: sexpr(input[0]), value: reparse(input.slice(1))});
+      } else if (isNumber(input)) {
+        arity = Number(input);
+      } else {
+        required.push(sexpr(input));
+      }
+    });
+    if (arity === undefined)
+      arity = required.length;
+    if (arity < required.length || (rest === undefined && arity > required.length + optional.length))
+      throw err("{_PROC_}: Bad default number of inputs {n}", { n: arity }, 7);
+
+    // Closure over inputs and block to handle scopes, arguments and
+    // outputs. Resolves to the output, or to a TailCall.
+    var body = function(args, caller) {
+      if (args.length < required.length)
+        throw err("Not enough inputs to {name:U}", { name: name }, 6);
+      if (rest === undefined && args.length > required.length + optional.length)
+        throw err("Too many inputs to {name:U}", { name: name }, 8);
 
       // Define a new scope
       var scope = new StringMap(true);
-      for (var i = 0; i < inputs.length && i < arguments.length; i += 1) {
-        scope.set(inputs[i], {value: arguments[i]});
+      var i;
+      for (i = 0; i < required.length; i += 1) {
+        scope.set(required[i], {value: args[i]});
+      }
+      var defaults = [];
+      optional.forEach(function(input) {
+        if (i < args.length)
+          scope.set(input.name, {value: args[i]});
+        else
+          defaults.push(input);
+        i += 1;
+      });
+      if (rest !== undefined)
+        scope.set(rest, {value: Array.prototype.slice.call(args, i)});
+      // A tail call replaces its caller's scope, but scoping is dynamic,
+      // so the caller's variables stay visible.
+      if (caller) {
+        caller.forEach(function(name, value) {
+          if (!scope.has(name))
+            scope.set(name, value);
+        });
       }
+      if (proc.stepped)
+        scope._stepped = true; // NOTE: A property on the scope, not within the scope
       self.scopes.push(scope);
-      return promiseFinally(self.execute(block).then(promiseYield, function(err) {
+
+      // A traced procedure has to see its tail calls finish before it
+      // can trace its own exit, so it makes them as nested calls.
+      var traced = proc.traced;
+      if (traced) {
+        trace('( ' + [name].concat(Array.from(args).map(traceValue)).join(' ') + ' )');
+        ++traceDepth;
+      }
+
+      // Defaults are evaluated in order, in the new scope
+      function run() {
+        return self.execute(block, {body: true, tail: !traced});
+      }
+      var result = !defaults.length ? run() : serialExecute(defaults.map(function(input) {
+        return function() {
+          return Promise.resolve(evaluateExpression(input.value.slice())).then(function(value) {
+            scope.set(input.name, {value: value});
+          });
+        };
+      })).then(run);
+
+      return result.then(function(result) {
+        if (result instanceof TailCall)
+          return result;
+        return promiseYield();
+      }, function(err) {
         if (err instanceof Output)
           return err.output;
         throw err;
-      }), function() {
+      }).then(function(result) {
+        if (result instanceof TailCall && traced)
+          return nestedCall(result);
+        return result;
+      }).then(function(result) {
+        if (result instanceof TailCall)
+          return result;
+        if (traced) {
+          --traceDepth;
+          if (result === undefined)
+            trace(format(__("{name} stops"), { name: name }));
+          else
+            trace(format(__("{name} outputs {value}"), { name: name, value: traceValue(result) }));
+        }
         self.scopes.pop();
+        return result;
+      }, function(err) {
+        if (traced)
+          --traceDepth;
+        self.scopes.pop();
+        throw err;
+      });
+    };
+
+    // Tail calls are made one after another, replacing this call on
+    // the stack, so tail recursion doesn't nest promises.
+    var func = function() {
+      var promise = body(arguments), statement = false, yielder = promiseYielder(TAIL_YIELD_MS);
+      return promiseLoop(function(loop, resolve, reject) {
+        promise.then(function(result) {
+          if (!(result instanceof TailCall)) {
+            if (result !== undefined && statement)
+              throw err("Don't know what to do with {result}", {result: result}, 9);
+            resolve(result);
+            return undefined;
+          }
+          statement = statement || !result.output;
+
+          // Yield now and then, so endless tail recursion can be stopped
+          return Promise.resolve(yielder()).then(function() {
+            self.stack[self.stack.length - 1] = result.name;
+            promise = result.proc.body(result.args, self.scopes.pop());
+            loop();
+          });
+        }).catch(reject);
       });
     };
 
-    var proc = to_arity(func, inputs.length);
+    // A macro's output is run in place of the call
+    var call = !macro ? func : function() {
+      return func.apply(null, arguments).then(runMacro);
+    };
+
+    var proc = to_arity(call, arity);
     self.routines.set(name, proc);
 
     // For DEF de-serialization
     proc.inputs = inputs;
     proc.block = block;
 
+    // For tail calls
+    proc.body = body;
+
+    if (macro)
+      proc.macro = true;
+
     if (savehook)
       savehook(name, self.definition(name, proc));
   }
@@ -1258,9 +1726,9 @@ function LogoInterpreter(turtle, stream, savehook)
     var name = sexpr(list);
     var proc = self.routines.get(name);
     if (!proc)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: name });
+      throw err("{_PROC_}: Don't know how to {name:U}", { name: name }, 13);
     if (!proc.inputs)
-      throw err("{_PROC_}: Can't show definition of primitive {name:U}", { name: name });
+      throw err("{_PROC_}: Can't show definition of primitive {name:U}", { name: name }, 22);
 
     return self.definition(name, proc);
   });
@@ -1310,7 +1778,7 @@ function LogoInterpreter(turtle, stream, savehook)
   def("array", function(size) {
     size = aexpr(size);
     if (size < 1)
-      throw err("{_PROC_}: Array size must be positive integer");
+      throw err("{_PROC_}: Array size must be positive integer", 7);
     var origin = (arguments.length < 2) ? 1 : aexpr(arguments[1]);
     return new LogoArray(size, origin);
   });
@@ -1318,7 +1786,7 @@ function LogoInterpreter(turtle, stream, savehook)
   def("mdarray", function(sizes) {
     sizes = lexpr(sizes).map(aexpr).map(function(n) { return n|0; });
     if (sizes.some(function(size) { return size < 1; }))
-      throw err("{_PROC_}: Array size must be positive integer");
+      throw err("{_PROC_}: Array size must be positive integer", 7);
     var origin = (arguments.length < 2) ? 1 : aexpr(arguments[1]);
 
     function make(index) {
@@ -1343,7 +1811,7 @@ function LogoInterpreter(turtle, stream, savehook)
 
   def("arraytolist", function(array) {
     if (Type(array) !== 'array') {
-      throw err("{_PROC_}: Expected array");
+      throw err("{_PROC_}: Expected array", 7);
     }
     return array.list().slice();
   });
@@ -1394,14 +1862,14 @@ function LogoInterpreter(turtle, stream, savehook)
     switch (Type(thing)) {
     case 'list':
       if (index < 1 || index > thing.length)
-        throw err("{_PROC_}: Index out of bounds");
+        throw err("{_PROC_}: Index out of bounds", 7);
       return thing[index - 1];
     case 'array':
       return thing.item(index);
     default:
       thing = sexpr(thing);
       if (index < 1 || index > thing.length)
-        throw err("{_PROC_}: Index out of bounds");
+        throw err("{_PROC_}: Index out of bounds", 7);
       return thing.charAt(index - 1);
     }
   }
@@ -1446,7 +1914,11 @@ function LogoInterpreter(turtle, stream, savehook)
       .map(function(e) { return sifw(list, e); });
   });
 
-  // Not Supported: quoted
+  def("quoted", function(thing) {
+    if (Type(thing) === 'list')
+      return thing;
+    return '"' + sexpr(thing);
+  });
 
   //
   // 2.3 Data Mutators
@@ -1467,37 +1939,37 @@ function LogoInterpreter(turtle, stream, savehook)
   def("setitem", function(index, array, value) {
     index = aexpr(index);
     if (Type(array) !== 'array')
-      throw err("{_PROC_}: Expected array");
+      throw err("{_PROC_}: Expected array", 7);
     if (contains(value, array))
-      throw err("{_PROC_}: Can't create circular array");
+      throw err("{_PROC_}: Can't create circular array", 7);
     array.setItem(index, value);
   });
 
   def("mdsetitem", function(indexes, thing, value) {
     indexes = lexpr(indexes).map(aexpr).map(function(n) { return n|0; });
     if (Type(thing) !== 'array')
-      throw err("{_PROC_}: Expected array");
+      throw err("{_PROC_}: Expected array", 7);
     if (contains(value, thing))
-      throw err("{_PROC_}: Can't create circular array");
+      throw err("{_PROC_}: Can't create circular array", 7);
     while (indexes.length > 1) {
       thing = item(indexes.shift(), thing);
       if (Type(thing) !== 'array')
-        throw err("{_PROC_}: Expected array");
+        throw err("{_PROC_}: Expected array", 7);
     }
     thing.setItem(indexes.shift(), value);
   });
 
   def(".setfirst", function(list, value) {
      if (Type(list) !== 'list')
-      throw err("{_PROC_}: Expected list");
+      throw err("{_PROC_}: Expected list", 7);
     list[0] = value;
   });
 
   def(".setbf", function(list, value) {
     if (Type(list) !== 'list')
-      throw err("{_PROC_}: Expected non-empty list");
+      throw err("{_PROC_}: Expected non-empty list", 7);
     if (list.length < 1)
-      throw err("{_PROC_}: Expected non-empty list");
+      throw err("{_PROC_}: Expected non-empty list", 7);
     value = lexpr(value);
     list.length = 1;
     list.push.apply(list, value);
@@ -1506,7 +1978,7 @@ function LogoInterpreter(turtle, stream, savehook)
   def(".setitem", function(index, array, value) {
     index = aexpr(index);
     if (Type(array) !== 'array')
-      throw err("{_PROC_}: Expected array");
+      throw err("{_PROC_}: Expected array", 7);
     array.setItem(index, value);
   });
 
@@ -1569,7 +2041,11 @@ function LogoInterpreter(turtle, stream, savehook)
 
   def(".eq", function(a, b) { return a === b && a && typeof a === 'object'; });
 
-  // Not Supported: vbarredp
+  // Characters typed within vertical bars aren't recorded as such, so
+  // this reports whether the character would need them.
+  def(["vbarredp", "vbarred?", "backslashedp", "backslashed?"], function(c) {
+    return inChars(sexpr(c).charAt(0), LINE_VBAR_CHARS + '+-*/=<>"|\\') ? 1 : 0;
+  });
 
   def(["memberp", "member?"], function(thing, list) {
     return lexpr(list).some(function(x) { return equal(x, thing); }) ? 1 : 0;
@@ -1590,7 +2066,8 @@ function LogoInterpreter(turtle, stream, savehook)
     return lexpr(thing).length;
   });
   def("ascii", function(chr) { return sexpr(chr).charCodeAt(0); });
-  // Not Supported: rawascii
+  // Vertical-barred characters are stored unchanged, so this is ASCII.
+  def("rawascii", function(chr) { return sexpr(chr).charCodeAt(0); });
   def("char", function(integer) { return String.fromCharCode(aexpr(integer)); });
 
   def("member", function(thing, input) {
@@ -1625,8 +2102,25 @@ function LogoInterpreter(turtle, stream, savehook)
       .join('');
   });
 
-  // Not Supported: parse
-  // Not Supported: runparse
+  def("parse", function(word) {
+    // Semicolons in the word aren't comments
+    return parseList(new Stream(sexpr(word).replace(/;/g, '|;|') + ']'));
+  });
+
+  def("runparse", function(wordorlist) {
+    var atoms = Type(wordorlist) === 'list' ?
+          reparse(wordorlist) : parse(sexpr(wordorlist));
+    var result = [];
+    for (var i = 0; i < atoms.length; ++i) {
+      if (atoms[i] !== UNARY_MINUS)
+        result.push(atoms[i]);
+      else if (i + 1 < atoms.length && isNumber(atoms[i + 1]))
+        result.push('-' + atoms[++i]);
+      else
+        result.push('minus');
+    }
+    return result;
+  });
 
   //----------------------------------------------------------------------
   //
@@ -1636,64 +2130,367 @@ function LogoInterpreter(turtle, stream, savehook)
 
   // 3.1 Transmitters
 
+  // Output goes to the file set by SETWRITE, if any
+  function transmit(text) {
+    var writer = writers[writers.length - 1];
+    if (writer !== undefined)
+      openFiles.get(writer).text += text;
+    else
+      terminalWrite(text);
+  }
+
   def(["print", "pr"], function(thing) {
     var s = Array.from(arguments).map(stringify_nodecorate).join(" ");
-    self.stream.write(s, "\n");
+    transmit(s + "\n");
   });
   def("type", function(thing) {
     var s = Array.from(arguments).map(stringify_nodecorate).join("");
-    self.stream.write(s);
+    transmit(s);
   });
   def("show", function(thing) {
-    var s = Array.from(arguments).map(stringify).join(" ");
-    self.stream.write(s, "\n");
+    var s = Array.from(arguments).map(stringify_vbar).join(" ");
+    transmit(s + "\n");
   });
 
   // 3.2 Receivers
 
-  // Not Supported: readlist
+  // Input comes from the file set by SETREAD, if any, otherwise the
+  // stream. The stream's read(prompt) returns a line of input (without
+  // the newline) and readchar() a single character, or a promise for
+  // either; undefined or null means there is no more input. A read
+  // that ends that way because the user stopped the program (see bye)
+  // stops it there.
+
+  function readLine(prompt) {
+    if (reader !== undefined) {
+      var file = openFiles.get(reader);
+      if (file.pos >= file.text.length)
+        return Promise.resolve(undefined);
+      var end = file.text.indexOf('\n', file.pos);
+      if (end === -1)
+        end = file.text.length;
+      var line = file.text.substring(file.pos, end);
+      file.pos = end + 1;
+      return Promise.resolve(line);
+    }
+    return Promise.resolve(prompt === undefined ?
+                           self.stream.read() : self.stream.read(prompt))
+      .then(function(line) {
+        if (!isEOF(line))
+          dribbleText((prompt || '') + line + '\n');
+        return checkBye(line);
+      });
+  }
+
+  function readChar() {
+    if (reader !== undefined) {
+      var file = openFiles.get(reader);
+      if (file.pos >= file.text.length)
+        return Promise.resolve(undefined);
+      return Promise.resolve(file.text.charAt(file.pos++));
+    }
+    return Promise.resolve(self.stream.readchar())
+      .then(function(c) {
+        if (!isEOF(c))
+          dribbleText(c);
+        return checkBye(c);
+      });
+  }
+
+  function isEOF(input) {
+    return input === undefined || input === null;
+  }
+
+  function checkBye(input) {
+    if (isEOF(input) && self.forceBye) {
+      self.forceBye = false;
+      throw new Bye;
+    }
+    return input;
+  }
+
+  def("readlist", function() {
+    var prompt = arguments.length > 0 ? stringify_nodecorate(arguments[0]) : undefined;
+    return readLine(prompt).then(function(line) {
+      return isEOF(line) ? '' : parseList(new Stream(line + ']'));
+    });
+  });
 
   def("readword", function() {
-    if (arguments.length > 0)
-      return stream.read(stringify_nodecorate(arguments[0]));
-    else
-      return stream.read();
+    var prompt = arguments.length > 0 ? stringify_nodecorate(arguments[0]) : undefined;
+    return readLine(prompt).then(function(line) {
+      return isEOF(line) ? [] : line;
+    });
+  });
+
+  def("readrawline", function() {
+    return readLine().then(function(line) {
+      return isEOF(line) ? [] : line;
+    });
   });
 
+  def("readchar", function() {
+    return readChar().then(function(c) {
+      return isEOF(c) ? [] : c;
+    });
+  });
+
+  def("readchars", function(count) {
+    count = aexpr(count)|0;
+    var chars = '';
+    return promiseLoop(function(loop, resolve, reject) {
+      if (chars.length >= count) {
+        resolve(chars);
+        return;
+      }
+      readChar().then(function(c) {
+        if (isEOF(c))
+          resolve(chars.length ? chars : []);
+        else {
+          chars += c;
+          loop();
+        }
+      }, reject);
+    });
+  });
 
-  // Not Supported: readrawline
-  // Not Supported: readchar
-  // Not Supported: readchars
   // Not Supported: shell
 
   // 3.3 File Access
 
-  // Not Supported: setprefix
-  // Not Supported: prefix
-  // Not Supported: openread
-  // Not Supported: openwrite
-  // Not Supported: openappend
-  // Not Supported: openupdate
-  // Not Supported: close
-  // Not Supported: allopen
-  // Not Supported: closeall
-  // Not Supported: erasefile
-  // Not Supported: dribble
-  // Not Supported: nodribble
-  // Not Supported: setread
-  // Not Supported: setwrite
-  // Not Supported: reader
-  // Not Supported: writer
+  // Open files are held in memory, and saved to the file system when
+  // closed. Reads and writes go to the terminal unless a file is set
+  // by SETREAD/SETWRITE.
+  //
+  // A file named by a list is a string: OPENREAD [word] reads the
+  // characters of the word, and OPENWRITE [varname] (or OPENAPPEND)
+  // stores what was written in the variable when closed.
+  var openFiles = new StringMap();
+  var reader, prefix; // key of openFiles, undefined if not set
+  // Keys of the files SETWRITE has set, innermost last: SETWRITE []
+  // goes back to the one before, so captures can nest. An error that
+  // stops the program goes back to the terminal.
+  var writers = [];
+
+  function fileKey(name) {
+    return Type(name) === 'list' ? stringify(name) : sexpr(name);
+  }
+
+  function pathName(name) {
+    if (prefix === undefined || name.charAt(0) === '/')
+      return name;
+    return prefix.replace(/\/$/, '') + '/' + name;
+  }
+
+  function openFile(name, mode) {
+    var key = fileKey(name);
+    if (openFiles.has(key))
+      throw err("{_PROC_}: File {name} already open", {name: key}, 18);
+
+    var variable, loaded;
+    if (Type(name) === 'list') {
+      if (name.length !== 1)
+        throw err("{_PROC_}: Doesn't like {name} as input", {name: key}, 7);
+      if (mode === 'read') {
+        loaded = sexpr(name[0]);
+      } else {
+        variable = sexpr(name[0]);
+        var value = (mode === 'write') ? undefined : maybegetvar(variable);
+        loaded = (value === undefined) ? '' : stringify_nodecorate(value);
+      }
+    } else {
+      name = sexpr(name);
+      loaded = (mode === 'write') ? '' : self.filesystem.read(pathName(name));
+    }
+
+    return Promise.resolve(loaded).then(function(text) {
+      if (text === undefined) {
+        if (mode === 'read')
+          throw err("{_PROC_}: Can't open file {name}", {name: key}, 18);
+        text = '';
+      }
+      openFiles.set(key, {name: name, variable: variable,
+                          mode: mode, text: text, pos: 0});
+    });
+  }
+
+  function openedFile(name) {
+    var key = fileKey(name);
+    if (!openFiles.has(key))
+      throw err("{_PROC_}: File {name} not open", {name: key}, 18);
+    return openFiles.get(key);
+  }
+
+  function closeFile(key) {
+    var file = openFiles.get(key);
+    openFiles['delete'](key);
+    if (reader === key) reader = undefined;
+    writers = writers.filter(function(writer) { return writer !== key; });
+    if (file.mode === 'read')
+      return Promise.resolve();
+    if (file.variable !== undefined) {
+      setvar(file.variable, file.text);
+      return Promise.resolve();
+    }
+    return self.filesystem.write(pathName(file.name), file.text);
+  }
+
+  def("setprefix", function(word) {
+    prefix = (Type(word) === 'list' && !word.length) ? undefined : sexpr(word);
+  });
+
+  def("prefix", function() {
+    return prefix === undefined ? [] : prefix;
+  });
+
+  def("openread", function(name) { return openFile(name, 'read'); });
+
+  def("openwrite", function(name) { return openFile(name, 'write'); });
+
+  // Writes to a file open for update are added at the end, while reads
+  // start at the beginning.
+  def("openappend", function(name) { return openFile(name, 'append'); });
+  def("openupdate", function(name) { return openFile(name, 'update'); });
+
+  def("close", function(name) {
+    openedFile(name);
+    return closeFile(fileKey(name));
+  });
+
+  def("allopen", function() {
+    return openFiles.keys().map(function(key) {
+      return openFiles.get(key).name;
+    });
+  });
+
+  def("closeall", function() {
+    return serialExecute(openFiles.keys().map(function(name) {
+      return function() { return closeFile(name); };
+    })).then(function() {});
+  });
+
+  def("erasefile", function(name) {
+    return self.filesystem.remove(pathName(sexpr(name)));
+  });
+
+  // DRIBBLE records everything written to the terminal and typed by
+  // the user in a file. Output is saved shortly after it is written,
+  // so a burst of output is a single write; typed lines (see
+  // transcribe) are saved at once, as is the file when dribbling stops.
+  var DRIBBLE_SAVE_MS = 250;
+  var dribble, lastDribble; // {path, text, timer}
+
+  function dribbleText(text) {
+    if (!dribble)
+      return;
+    dribble.text += text;
+    if (dribble.timer === undefined) {
+      var d = dribble;
+      d.timer = setTimeout(function() { saveDribble(d); }, DRIBBLE_SAVE_MS);
+    }
+  }
+
+  function saveDribble(d) {
+    clearTimeout(d.timer);
+    d.timer = undefined;
+    return self.filesystem.write(d.path, d.text);
+  }
+
+  function terminalWrite() {
+    dribbleText(Array.from(arguments).join(''));
+    self.stream.write.apply(self.stream, arguments);
+  }
+
+  // Call with text shown to the user other than by the interpreter's
+  // output, such as a line typed at the top level, to add it to the
+  // transcript. Returns a promise that resolves when it is saved.
+  self.transcribe = function(text) {
+    if (!dribble)
+      return Promise.resolve();
+    dribbleText(text);
+    return saveDribble(dribble);
+  };
+
+  // The file name of the current or most recent DRIBBLE transcript,
+  // or undefined if there is none; the text is in self.filesystem.
+  self.transcript = function() {
+    var d = dribble || lastDribble;
+    return d ? d.path : undefined;
+  };
+
+  def("dribble", function(name) {
+    if (dribble)
+      throw err("{_PROC_}: Already dribbling", 17);
+    dribble = {path: pathName(sexpr(name)), text: ''};
+    return saveDribble(dribble);
+  });
+
+  def("nodribble", function() {
+    if (!dribble)
+      return undefined;
+    lastDribble = dribble;
+    dribble = undefined;
+    return saveDribble(lastDribble);
+  });
+
+  def("setread", function(name) {
+    if (Type(name) === 'list' && !name.length) {
+      reader = undefined;
+      return;
+    }
+    var mode = openedFile(name).mode;
+    if (mode !== 'read' && mode !== 'update')
+      throw err("{_PROC_}: File {name} not open for reading", {name: fileKey(name)}, 18);
+    reader = fileKey(name);
+  });
+
+  def("setwrite", function(name) {
+    if (Type(name) === 'list' && !name.length) {
+      writers.pop();
+      return;
+    }
+    if (openedFile(name).mode === 'read')
+      throw err("{_PROC_}: File {name} not open for writing", {name: fileKey(name)}, 18);
+    writers.push(fileKey(name));
+  });
+
+  def("reader", function() {
+    return reader === undefined ? [] : openFiles.get(reader).name;
+  });
+
+  def("writer", function() {
+    return !writers.length ? [] : openFiles.get(writers[writers.length - 1]).name;
+  });
+
   // Not Supported: setreadpos
   // Not Supported: setwritepos
   // Not Supported: readpos
   // Not Supported: writepos
-  // Not Supported: eofp
-  // Not Supported: filep
+
+  def(["eofp", "eof?"], function() {
+    if (reader === undefined)
+      return 0;
+    var file = openFiles.get(reader);
+    return file.pos >= file.text.length ? 1 : 0;
+  });
+
+  def(["filep", "file?"], function(name) {
+    return self.filesystem.read(pathName(sexpr(name))).then(function(text) {
+      return text === undefined ? 0 : 1;
+    });
+  });
 
   // 3.4 Terminal Access
 
-  // Not Supported: keyp
+  // Whether READCHAR would output without waiting. The stream's keyp(),
+  // if it has one, reports whether a character has been typed.
+  def(["keyp", "key?"], function() {
+    if (reader !== undefined) {
+      var file = openFiles.get(reader);
+      return file.pos < file.text.length ? 1 : 0;
+    }
+    return (self.stream.keyp && self.stream.keyp()) ? 1 : 0;
+  });
 
   def(["cleartext", "ct"], function() {
     self.stream.clear();
@@ -1949,7 +2746,7 @@ function LogoInterpreter(turtle, stream, savehook)
 
   def("setpos", function(l) {
     l = lexpr(l);
-    if (l.length !== 2) throw err("{_PROC_}: Expected list of length 2");
+    if (l.length !== 2) throw err("{_PROC_}: Expected list of length 2", 7);
     return turtle.setposition(aexpr(l[0]), aexpr(l[1]));
   });
   def("setxy", function(x, y) { return turtle.setposition(aexpr(x), aexpr(y)); });
@@ -1971,7 +2768,7 @@ function LogoInterpreter(turtle, stream, savehook)
   def("heading", function() { return turtle.getheading(); });
   def("towards", function(l) {
     l = lexpr(l);
-    if (l.length !== 2) throw err("{_PROC_}: Expected list of length 2");
+    if (l.length !== 2) throw err("{_PROC_}: Expected list of length 2", 7);
     return turtle.towards(aexpr(l[0]), aexpr(l[1]));
   });
   def("scrunch", function() { return turtle.getscrunch(); });
@@ -2019,7 +2816,7 @@ function LogoInterpreter(turtle, stream, savehook)
     sx = aexpr(sx);
     sy = aexpr(sy);
     if (!isFinite(sx) || sx === 0 || !isFinite(sy) || sy === 0)
-      throw err("{_PROC_}: Expected non-zero values");
+      throw err("{_PROC_}: Expected non-zero values", 7);
     return turtle.setscrunch(sx, sy);
   });
 
@@ -2081,17 +2878,58 @@ function LogoInterpreter(turtle, stream, savehook)
     turtle.setcolor(parseColor(color));
   });
 
-  // Not Supported: setpalette
+  // As in UCB Logo, the first 8 colors can't be changed.
+  def("setpalette", function(index, color) {
+    index = aexpr(index);
+    if (index < 8 || index !== Math.floor(index))
+      throw err("{_PROC_}: Doesn't like {index} as input", {index: index}, 7);
+    return turtle.setpalette(index, parseColor(color));
+  });
 
-  def(["setpensize", "setwidth", "setpw"], function(a) {
+  // A pen size as [width, height]
+  function penSize(a) {
     if (Type(a) === 'list')
-      return turtle.setwidth(aexpr(a[0]));
+      return [aexpr(a[0]), a.length > 1 ? aexpr(a[1]) : aexpr(a[0])];
     else
-      return turtle.setwidth(aexpr(a));
+      return [aexpr(a), aexpr(a)];
+  }
+
+  def(["setpensize", "setwidth", "setpw"], function(a) {
+    a = penSize(a);
+    return turtle.setwidth(a[0], a[1]);
   });
 
-  // Not Supported: setpenpattern
-  // Not Supported: setpen
+  // A pen pattern: lengths of dashes and gaps, or a single number
+  function penPattern(a) {
+    var pattern = (Type(a) === 'list' ? a : [a]).map(aexpr);
+    if (pattern.some(function(n) { return !isFinite(n) || n < 0; }))
+      throw err("{_PROC_}: Expected list of non-negative numbers", 7);
+    // All zero is solid.
+    return pattern.some(function(n) { return n > 0; }) ? pattern : [];
+  }
+
+  def("setpenpattern", function(pattern) {
+    return turtle.setpenpattern(penPattern(pattern));
+  });
+
+  // The whole pen state, as output by PEN
+  def("setpen", function(list) {
+    list = lexpr(list);
+    if (list.length !== 5)
+      throw err("{_PROC_}: Expected list of length 5", 7);
+    var down = sexpr(list[0]).toLowerCase(), mode = sexpr(list[1]).toLowerCase();
+    if (down !== 'pendown' && down !== 'penup')
+      throw err("{_PROC_}: Doesn't like {name} as input", {name: list[0]}, 7);
+    if (['paint', 'erase', 'reverse'].indexOf(mode) === -1)
+      throw err("{_PROC_}: Doesn't like {name} as input", {name: list[1]}, 7);
+    var color = parseColor(list[2]), size = penSize(list[3]), pattern = penPattern(list[4]);
+
+    turtle[down]();
+    turtle.setcolor(color);
+    turtle.setpenmode(mode);
+    turtle.setwidth(size[0], size[1]);
+    turtle.setpenpattern(pattern);
+  });
 
   def(["setbackground", "setscreencolor", "setsc"], function(color) {
     turtle.setbgcolor(parseColor(color));
@@ -2113,13 +2951,31 @@ function LogoInterpreter(turtle, stream, savehook)
     return turtle.getcolor();
   });
 
-  // Not Supported: palette
+  def("palette", function(index) {
+    index = aexpr(index);
+    if (index < 0 || index !== Math.floor(index))
+      throw err("{_PROC_}: Doesn't like {index} as input", {index: index}, 7);
+    // Scale from 0...255 to 0...99
+    return turtle.getpalette(index).map(function(n) { return Math.round(n * 99 / 255); });
+  });
 
   def("pensize", function() {
-    return [turtle.getwidth(), turtle.getwidth()];
+    return [turtle.getwidth(), turtle.getpenheight()];
   });
 
-  // Not Supported: pen
+  def("penpattern", function() {
+    return turtle.getpenpattern();
+  });
+
+  def("pen", function() {
+    return [
+      turtle.ispendown() ? 'PENDOWN' : 'PENUP',
+      turtle.getpenmode().toUpperCase(),
+      turtle.getcolor(),
+      [turtle.getwidth(), turtle.getpenheight()],
+      turtle.getpenpattern()
+    ];
+  });
 
   def(["background", "getscreencolor", "getsc"], function() {
     return turtle.getbgcolor();
@@ -2127,16 +2983,126 @@ function LogoInterpreter(turtle, stream, savehook)
 
   // 6.7 Saving and Loading Pictures
 
-  // Not Supported: savepict
-  // Not Supported: loadpict
-  // Not Supported: epspict
+  // Pictures are files holding the drawing and the turtle's state.
+
+  def("savepict", function(name) {
+    var pict = {image: turtle.getimage(), turtle: turtle.getstate()};
+    return self.filesystem.write(pathName(sexpr(name)), JSON.stringify(pict));
+  });
+
+  def("loadpict", function(name) {
+    name = sexpr(name);
+    return self.filesystem.read(pathName(name)).then(function(text) {
+      if (text === undefined)
+        throw err("{_PROC_}: Can't open file {name}", {name: name}, 18);
+      var pict;
+      try {
+        pict = JSON.parse(text);
+      } catch (e) {}
+      if (!pict || !pict.image || !pict.turtle || !pict.turtle.isturtlestate)
+        throw err("{_PROC_}: File {name} is not a picture", {name: name}, 18);
+      // Restoring the state clears the screen, so do it first.
+      turtle.setstate(pict.turtle);
+      return turtle.setimage(pict.image);
+    });
+  });
+
+  def("epspict", function(name) {
+    return self.filesystem.write(pathName(sexpr(name)), turtle.geteps()).then(function() {
+      if (turtle.hasimages())
+        terminalWrite(format(__("{_PROC_}: Fills and pictures were left out")), "\n");
+    });
+  });
+
+  def("svgpict", function(name) {
+    return self.filesystem.write(pathName(sexpr(name)), turtle.getsvg());
+  });
 
   // 6.8 Mouse Queries
 
-  // Not Supported: mousepos
-  // Not Supported: clickpos
-  // Not Supported: buttonp
-  // Not Supported: button
+  def("mousepos", function() { return turtle.getmousepos(); });
+  def("clickpos", function() { return turtle.getclickpos(); });
+  def(["buttonp", "button?"], function() { return turtle.getbutton() ? 1 : 0; });
+  def("button", function() { return turtle.getbutton(); });
+
+  // Multiple Turtles (not in UCB Logo)
+
+  // A turtle number or a non-empty list of them, as a list
+  function turtleNumbers(thing) {
+    var list = (Type(thing) === 'list') ? lexpr(thing).map(aexpr) : [aexpr(thing)];
+    if (!list.length || list.some(function(n) { return n < 0 || n !== Math.floor(n); }))
+      throw err("{_PROC_}: Expected turtle number", 7);
+    return list;
+  }
+
+  def("tell", function(who) {
+    return turtle.tell(turtleNumbers(who));
+  });
+
+  def("ask", function(who, statements) {
+    who = turtleNumbers(who);
+    statements = reparse(lexpr(statements));
+    var told = turtle.gettold();
+    turtle.tell(who);
+    return promiseFinally(
+      self.execute(statements, {returnResult: true}),
+      function() {
+        turtle.tell(told);
+      });
+  });
+
+  def("who", function() {
+    var told = turtle.gettold();
+    return told.length === 1 ? told[0] : told;
+  });
+
+  def("turtles", function() { return turtle.getturtles(); });
+
+  // Turtle Shapes (not in UCB Logo)
+
+  def("setshape", function(shape) {
+    if (Type(shape) === 'list') {
+      shape = lexpr(shape).map(function(point) {
+        if (Type(point) !== 'list' || point.length !== 2)
+          throw err("{_PROC_}: Expected list of points", 7);
+        return [aexpr(point[0]), aexpr(point[1])];
+      });
+    } else {
+      shape = sexpr(shape).toLowerCase();
+      if (turtle.getshapes().indexOf(shape) === -1)
+        throw err("{_PROC_}: Doesn't like {name} as input", {name: shape}, 7);
+    }
+    return turtle.setshape(shape);
+  });
+
+  def("shape", function() { return turtle.getshape(); });
+
+  def("setturtlesize", function(size) {
+    size = aexpr(size);
+    if (!(size > 0))
+      throw err("{_PROC_}: Expected positive number", 7);
+    return turtle.setturtlesize(size);
+  });
+
+  def("turtlesize", function() { return turtle.getturtlesize(); });
+
+  def("stamp", function() { return turtle.stamp(); });
+
+  // Turtle Speed (not in UCB Logo)
+
+  def("setspeed", function(speed) {
+    if (Type(speed) === 'word' && String(speed).toLowerCase() === 'max')
+      return turtle.setspeed(Infinity);
+    speed = aexpr(speed);
+    if (!(speed > 0))
+      throw err("{_PROC_}: Expected positive number", 7);
+    return turtle.setspeed(speed);
+  });
+
+  def("speed", function() {
+    var speed = turtle.getspeed();
+    return isFinite(speed) ? speed : 'max';
+  });
 
   //----------------------------------------------------------------------
   //
@@ -2145,23 +3111,28 @@ function LogoInterpreter(turtle, stream, savehook)
   //----------------------------------------------------------------------
   // 7.1 Procedure Definition
 
-  def("define", function(name, list) {
+  // Define a procedure (or macro) from the inputs of DEFINE (or .DEFMACRO)
+  function define(name, list, macro) {
     name = sexpr(name);
     list = lexpr(list);
     if (list.length != 2)
-      throw err("{_PROC_}: Expected list of length 2");
+      throw err("{_PROC_}: Expected list of length 2", 7);
 
     var inputs = lexpr(list[0]);
     var block = reparse(lexpr(list[1]));
-    defineProc(name, inputs, block);
+    defineProc(name, inputs, block, macro);
+  }
+
+  def("define", function(name, list) {
+    define(name, list, false);
   });
 
   def("text", function(name) {
     var proc = self.routines.get(sexpr(name));
     if (!proc)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: name });
+      throw err("{_PROC_}: Don't know how to {name:U}", { name: name }, 13);
     if (!proc.inputs)
-      throw err("{_PROC_}: Can't show definition of primitive {name:U}", { name: name });
+      throw err("{_PROC_}: Can't show definition of primitive {name:U}", { name: name }, 22);
 
     return [proc.inputs, proc.block];
   });
@@ -2174,15 +3145,15 @@ function LogoInterpreter(turtle, stream, savehook)
     oldname = sexpr(oldname);
 
     if (!self.routines.has(oldname)) {
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: oldname });
+      throw err("{_PROC_}: Don't know how to {name:U}", { name: oldname }, 13);
     }
 
     if (self.routines.has(newname)) {
       if (self.routines.get(newname).special) {
-        throw err("{_PROC_}: Can't overwrite special {name:U}", { name: newname });
+        throw err("{_PROC_}: Can't overwrite special {name:U}", { name: newname }, 22);
       }
       if (self.routines.get(newname).primitive && !maybegetvar("redefp")) {
-        throw err("{_PROC_}: Can't overwrite primitives unless REDEFP is TRUE");
+        throw err("{_PROC_}: Can't overwrite primitives unless REDEFP is TRUE", 22);
       }
     }
 
@@ -2237,6 +3208,8 @@ function LogoInterpreter(turtle, stream, savehook)
       self.plists.set(plistname, plist);
     }
     plist.set(propname, value);
+    if (plist.traced)
+      trace('pprop "' + plistname + ' "' + propname + ' ' + traceValue(value));
   });
 
   def("gprop", function(plistname, propname) {
@@ -2290,6 +3263,12 @@ function LogoInterpreter(turtle, stream, savehook)
             self.routines.get(name).primitive) ? 1 : 0;
   });
 
+  def(["macrop", "macro?"], function(name) {
+    name = sexpr(name);
+    return (self.routines.has(name) &&
+            self.routines.get(name).macro) ? 1 : 0;
+  });
+
   def(["definedp", "defined?"], function(name) {
     name = sexpr(name);
     return (self.routines.has(name) &&
@@ -2435,12 +3414,12 @@ function LogoInterpreter(turtle, stream, savehook)
         name = sexpr(name);
         if (self.routines.has(name)) {
           if (self.routines.get(name).special)
-            throw err("Can't {_PROC_} special {name:U}", { name: name });
+            throw err("Can't {_PROC_} special {name:U}", { name: name }, 22);
           if (!self.routines.get(name).primitive || maybegetvar("redefp")) {
             self.routines['delete'](name);
             if (savehook) savehook(name);
           } else {
-            throw err("Can't {_PROC_} primitives unless REDEFP is TRUE");
+            throw err("Can't {_PROC_} primitives unless REDEFP is TRUE", 22);
           }
         }
       });
@@ -2694,6 +3673,65 @@ function LogoInterpreter(turtle, stream, savehook)
     return 0;
   });
 
+  // Sets a flag (e.g. traced) on the procedures, variables and
+  // property lists named in a contents list. A word or a list of
+  // words names procedures only.
+  function flagContents(list, flag, value) {
+    if (Type(list) === 'word')
+      list = [[list]];
+    else if (Type(list) === 'list' && list.length && Type(list[0]) === 'word')
+      list = [list];
+    list = lexpr(list);
+
+    // Procedures
+    if (list.length) {
+      var procs = lexpr(list.shift());
+      procs.forEach(function(name) {
+        name = sexpr(name);
+        if (self.routines.has(name))
+          self.routines.get(name)[flag] = value;
+      });
+    }
+
+    // Variables
+    if (list.length) {
+      var vars = lexpr(list.shift());
+      self.scopes.forEach(function(scope) {
+        vars.forEach(function(name) {
+          name = sexpr(name);
+          if (scope.has(name))
+            scope.get(name)[flag] = value;
+        });
+      });
+    }
+
+    // Property lists
+    if (list.length) {
+      var plists = lexpr(list.shift());
+      plists.forEach(function(name) {
+        name = sexpr(name);
+        if (self.plists.has(name))
+          self.plists.get(name)[flag] = value;
+      });
+    }
+  }
+
+  def("trace", function(list) {
+    flagContents(list, 'traced', true);
+  });
+
+  def("untrace", function(list) {
+    flagContents(list, 'traced', false);
+  });
+
+  def("step", function(list) {
+    flagContents(list, 'stepped', true);
+  });
+
+  def("unstep", function(list) {
+    flagContents(list, 'stepped', false);
+  });
+
   //----------------------------------------------------------------------
   //
   // 8. Control Structures
@@ -2816,13 +3854,113 @@ function LogoInterpreter(turtle, stream, savehook)
 
   def(["output", "op"], function(atom) {
     throw new Output(atom);
+  }, {tailoutput: true});
+
+  // Tags of the CATCH forms currently running, innermost last
+  var catchTags = [];
+  // Most recent error caught by CATCH "ERROR, reported by ERROR
+  var lastError = null;
+
+  def("catch", function(tag, statements) {
+    tag = sexpr(tag).toUpperCase();
+    statements = reparse(lexpr(statements));
+    catchTags.push(tag);
+    return promiseFinally(
+      self.execute(statements, {returnResult: true})
+        .catch(function(e) {
+          if (e instanceof Throw && e.tag === tag)
+            return e.value;
+          if (tag === 'ERROR' && e instanceof Error && 'code' in e) {
+            lastError = e;
+            return undefined;
+          }
+          throw e;
+        }),
+      function() {
+        catchTags.pop();
+      });
+  });
+
+  def("throw", function(tag) {
+    tag = sexpr(tag).toUpperCase();
+    var value = arguments[1];
+    if (tag === 'ERROR') {
+      if (arguments.length > 1)
+        throw logoError(stringify_nodecorate(value), 35);
+      throw err("Throw \"Error", 21);
+    }
+    if (tag === 'TOPLEVEL')
+      throw new Bye;
+    if (!catchTags.includes(tag))
+      throw err("Can't find catch tag for {tag:U}", { tag: tag }, 14);
+    throw new Throw(tag, value);
   });
 
-  // Not Supported: catch
-  // Not Supported: throw
-  // Not Supported: error
-  // Not Supported: pause
-  // Not Supported: continue
+  def("error", function() {
+    var e = lastError;
+    lastError = null;
+    if (!e)
+      return [];
+    return [e.code, e.message, e.proc !== undefined ? e.proc : [], e.line || []];
+  });
+
+  // Break loops entered by PAUSE, innermost last
+  var pauses = [];
+
+  def("pause", function() {
+    var name = currentProcedure();
+    terminalWrite(__("Pausing..."), "\n");
+    return new Promise(function(resolve, reject) {
+      pauses.push({resolve: resolve, reject: reject, name: name});
+      if (self.pausehook)
+        self.pausehook(true, name);
+    });
+  });
+
+  def(["continue", "co"], function() {
+    if (!pauses.length)
+      throw err("Can only use {_PROC_} inside PAUSE", 31);
+    var pause = pauses.pop();
+    if (self.pausehook) {
+      if (pauses.length)
+        self.pausehook(true, pauses[pauses.length - 1].name);
+      else
+        self.pausehook(false);
+    }
+    pause.resolve(arguments[0]);
+  });
+
+  // Leave every break loop; the paused procedures stop as if by BYE.
+  function abandonPauses() {
+    if (!pauses.length)
+      return;
+    while (pauses.length)
+      pauses.pop().reject(new Bye);
+    if (self.pausehook)
+      self.pausehook(false);
+  }
+
+  // Called when an error occurs, before it unwinds the procedure it
+  // occurred in. Unless the error will be caught by CATCH "ERROR, runs
+  // the instruction list in the ERRACT variable there; TRUE is taken
+  // to mean [PAUSE]. The error is raised as usual afterwards.
+  var inErrorAction = false;
+  function errorAction(e) {
+    var erract = maybegetvar("erract");
+    if (erract === undefined || inErrorAction || catchTags.includes('ERROR'))
+      return undefined;
+    if (Type(erract) !== 'list') {
+      if (String(erract).toLowerCase() !== 'true' && !(isNumber(erract) && Number(erract)))
+        return undefined;
+      erract = ["pause"];
+    }
+
+    terminalWrite(e.message, "\n");
+    inErrorAction = true;
+    return promiseFinally(self.execute(reparse(erract)), function() {
+      inErrorAction = false;
+    });
+  }
   // Not Supported: wait
 
   def("wait", function(time) {
@@ -2832,6 +3970,7 @@ function LogoInterpreter(turtle, stream, savehook)
   });
 
   def("bye", function() {
+    clearEvents();
     throw new Bye;
   });
 
@@ -2839,13 +3978,76 @@ function LogoInterpreter(turtle, stream, savehook)
     throw new Output(value);
   });
 
-  // Not Supported: goto
-  // Not Supported: tag
+  // Index of the TAG instruction for tag in a procedure body, or -1
+  function findTag(block, tag) {
+    var routine = self.routines.get('tag');
+    for (var i = 0; i + 1 < block.length; i += 1) {
+      if (Type(block[i]) === 'word' && self.routines.get(String(block[i])) === routine &&
+          Type(block[i + 1]) === 'word' &&
+          String(block[i + 1]).substring(1).toUpperCase() === tag.toUpperCase())
+        return i;
+    }
+    return -1;
+  }
+
+  def("goto", function(tag) {
+    tag = sexpr(tag);
+    var name = currentProcedure();
+    if (name === undefined)
+      throw err("Can only use {_PROC_} inside a procedure", 31);
+    if (findTag(self.routines.get(name).block, tag) === -1)
+      throw err("{_PROC_}: Can't find tag {tag:U} in {name:U}", { tag: tag, name: name }, 7);
+    throw new Goto(tag);
+  });
+
+  def("tag", function(tag) {
+  });
 
   def("ignore", function(value) {
   });
 
-  // Not Supported: `
+  // Copy of list with the instruction list following each , replaced
+  // by its output, and following each ,@ by the members of its output.
+  // ,word is short for , [word].
+  function backquote(list) {
+    list = list.slice();
+    var result = [];
+    return promiseLoop(function(loop, resolve, reject) {
+      if (!list.length) {
+        resolve(result);
+        return;
+      }
+      var atom = list.shift(), splice, m;
+      if (Type(atom) === 'list') {
+        backquote(atom).then(function(value) {
+          result.push(value);
+          loop();
+        }, reject);
+        return;
+      }
+      if (Type(atom) === 'word' && (m = /^,(@?)(.*)$/.exec(atom))) {
+        splice = m[1] === '@';
+        var instructions = m[2] !== '' ? [m[2]] : list.shift();
+        if (instructions === undefined)
+          throw err("{_PROC_}: Expected instruction list after {word}", { word: atom }, 7);
+        self.execute(reparse(lexpr(instructions)), {returnResult: true})
+          .then(function(value) {
+            if (splice)
+              result = result.concat(lexpr(value));
+            else
+              result.push(value);
+            loop();
+          }, reject);
+        return;
+      }
+      result.push(atom);
+      loop();
+    });
+  }
+
+  def("`", function(list) {
+    return backquote(lexpr(list));
+  });
 
   def("for", function(control, statements) {
     control = reparse(lexpr(control));
@@ -2894,7 +4096,7 @@ function LogoInterpreter(turtle, stream, savehook)
   function checkevalblock(block) {
     block = block();
     if (Type(block) === 'list') { return block; }
-    throw err("{_PROC_}: Expected block");
+    throw err("{_PROC_}: Expected block", 7);
   }
 
   def("do.while", function(block, tfexpression) {
@@ -3019,37 +4221,252 @@ function LogoInterpreter(turtle, stream, savehook)
     });
   });
 
+  //
+  // Event Handlers (not in UCB Logo)
+  //
+
+  // Instruction lists for events the host reports by calling
+  // fireEvent('key'), fireEvent('click') or fireEvent('mousemove'),
+  // and for EVERY timers. A handler runs between the statements of a
+  // running program (see execute), or in turn with other runs (see
+  // queueTask) if nothing is running, at the top level either way; an
+  // event arriving while its handler is still waiting to run is
+  // dropped. A handler that fails is removed.
+  var handlers = new StringMap(true), timers = [];
+  var readyHandlers = [], handlingEvents = false;
+
+  function runHandler(handler) {
+    if (handler.pending)
+      return;
+    handler.pending = true;
+    readyHandlers.push(handler);
+    self.queueTask(function() {
+      return runReadyHandlers().catch(function(e) {
+        if (!(e instanceof Bye))
+          throw e;
+      });
+    });
+  }
+
+  // Rejects with Bye if the user stops a handler, so that whatever
+  // program it interrupted stops too. The interrupted program's
+  // procedure stack, REPCOUNT, catch tags, writers and template inputs
+  // are set aside while handlers run, as if they ran at top level.
+  function runReadyHandlers() {
+    var saved = {
+      scopes: self.scopes, stack: self.stack, repcount: self.repcount,
+      catchTags: catchTags, writers: writers, templateInputs: templateInputs,
+      traceDepth: traceDepth
+    };
+    handlingEvents = true;
+    self.scopes = [saved.scopes[0]];
+    self.stack = [];
+    self.repcount = undefined;
+    catchTags = [];
+    writers = [];
+    templateInputs = [];
+    traceDepth = 0;
+    return promiseFinally(serialExecute(readyHandlers.splice(0).map(function(handler) {
+      return function() {
+        handler.pending = false;
+        if (handler.cancelled)
+          return undefined;
+        return self.execute(reparse(handler.list))
+          .catch(function(e) {
+            if (e instanceof Bye)
+              throw e;
+            // STOP ends the handler; anything else escaping it is an error.
+            if (e instanceof Output && e.output === undefined)
+              return;
+            if (e instanceof Output)
+              e = err("Don't know what to do with {result}", {result: e.output}, 9);
+            else if (e instanceof Throw)
+              e = err("Can't find catch tag for {tag:U}", {tag: e.tag}, 14);
+            cancelHandler(handler);
+            if (self.errorhook)
+              self.errorhook(e);
+          });
+      };
+    })), function() {
+      self.scopes = saved.scopes;
+      self.stack = saved.stack;
+      self.repcount = saved.repcount;
+      catchTags = saved.catchTags;
+      writers = saved.writers;
+      templateInputs = saved.templateInputs;
+      traceDepth = saved.traceDepth;
+      handlingEvents = false;
+    });
+  }
+
+  function cancelHandler(handler) {
+    handler.cancelled = true;
+    if (handler.timer !== undefined) {
+      clearInterval(handler.timer);
+      timers.splice(timers.indexOf(handler), 1);
+    } else if (handlers.get(handler.type) === handler) {
+      handlers['delete'](handler.type);
+    }
+  }
+
+  function clearEvents() {
+    handlers.forEach(function(type, handler) { handler.cancelled = true; });
+    handlers = new StringMap(true);
+    timers.forEach(function(handler) {
+      handler.cancelled = true;
+      clearInterval(handler.timer);
+    });
+    timers = [];
+  }
+
+  self.fireEvent = function(type) {
+    var handler = handlers.get(type);
+    if (handler)
+      runHandler(handler);
+  };
+
+  function setHandler(type, list) {
+    var handler = handlers.get(type);
+    if (handler)
+      cancelHandler(handler);
+    list = lexpr(list);
+    if (list.length)
+      handlers.set(type, {type: type, list: list});
+  }
+
+  def("onkey", function(list) { setHandler('key', list); });
+  def("onclick", function(list) { setHandler('click', list); });
+  def("onmousemove", function(list) { setHandler('mousemove', list); });
+
+  def("every", function(time, list) {
+    var handler = {list: lexpr(list)};
+    handler.timer = setInterval(function() { runHandler(handler); },
+                                aexpr(time) / 60 * 1000);
+    timers.push(handler);
+  });
+
+  def("clearevents", function() {
+    clearEvents();
+  });
+
   //
   // 8.2 Template-based Iteration
   //
 
+  // Inputs of the explicit-slot templates running, innermost last
+  var templateInputs = [];
+
+  // Returns a routine that runs a template with its arguments as
+  // inputs. A template is one of:
+  //  * a procedure name: "word
+  //  * explicit-slot: [? * 2], with ? (or ?1), ?2, ... and ?REST for
+  //    the inputs, and # for the position in the list
+  //  * named-slot (lambda): [[a b] :a * :b]
+  //  * procedure text, as TEXT outputs: [[a b] [output :a * :b]]
+  function template(procname) {
+    if (Type(procname) !== 'list') {
+      procname = sexpr(procname);
+
+      var routine = self.routines.get(procname);
+      if (!routine)
+        throw err("{_PROC_}: Don't know how to {name:U}", { name: procname }, 13);
+      if (routine.special || routine.noeval)
+        throw err("Can't apply {_PROC_} to special {name:U}", { name: procname }, 32);
+      return routine;
+    }
+
+    var list = lexpr(procname);
+    if (Type(list[0]) !== 'list') {
+      var statements = reparse(list);
+      return function() {
+        templateInputs.push(Array.from(arguments));
+        return promiseFinally(self.execute(statements, {returnResult: true}), function() {
+          templateInputs.pop();
+        });
+      };
+    }
+
+    var inputs = lexpr(list.shift()).map(sexpr);
+    var isText = list.length && list.every(function(line) { return Type(line) === 'list'; });
+    var block = reparse(isText ? Array.prototype.concat.apply([], list.map(lexpr)) : list);
+    return function() {
+      var scope = new StringMap(true);
+      for (var i = 0; i < inputs.length && i < arguments.length; i += 1) {
+        scope.set(inputs[i], {value: arguments[i]});
+      }
+      self.scopes.push(scope);
+
+      var result;
+      if (isText) {
+        result = self.execute(block).then(function() {
+          return undefined;
+        }, function(err) {
+          if (!(err instanceof Output))
+            throw err;
+          return err.output instanceof TailCall ? nestedCall(err.output) : err.output;
+        });
+      } else {
+        result = self.execute(block, {returnResult: true});
+      }
+      return promiseFinally(result, function() {
+        self.scopes.pop();
+      });
+    };
+  }
+
+  // Call a template routine with the inputs in args, with # reporting
+  // position.
+  function callTemplate(routine, args, position) {
+    var old_repcount = self.repcount;
+    self.repcount = position;
+    return promiseFinally(Promise.resolve().then(function() {
+      return routine.apply(null, args);
+    }), function() {
+      self.repcount = old_repcount;
+    });
+  }
+
+  function templateInputList() {
+    if (!templateInputs.length)
+      throw err("Can only use {_PROC_} inside a template", 31);
+    return templateInputs[templateInputs.length - 1];
+  }
+
+  def("?", function() {
+    var inputs = templateInputList();
+    var n = arguments.length ? aexpr(arguments[0]) : 1;
+    if (n < 1 || n > inputs.length)
+      throw err("{_PROC_}: Template has no input {n}", { n: n }, 7);
+    return inputs[n - 1];
+  });
+
+  // Inputs of TRANSFER templates
+  def("?in", function() {
+    return templateInputList()[0];
+  });
+
+  def("?out", function() {
+    return templateInputList()[1];
+  });
+
+  def("?rest", function() {
+    var inputs = templateInputList();
+    var n = arguments.length ? aexpr(arguments[0]) : 1;
+    return inputs.slice(n);
+  });
 
   //
   // Higher order functions
   //
 
-  // TODO: multiple inputs
-
   def("apply", function(procname, list) {
-    procname = sexpr(procname);
-
-    var routine = self.routines.get(procname);
-    if (!routine)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: procname });
-    if (routine.special || routine.noeval)
-      throw err("Can't apply {_PROC_} to special {name:U}", { name: procname });
+    var routine = template(procname);
 
     return routine.apply(null, lexpr(list));
   });
 
   def("invoke", function(procname, input1) {
-    procname = sexpr(procname);
-
-    var routine = self.routines.get(procname);
-    if (!routine)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: procname });
-    if (routine.special || routine.noeval)
-      throw err("Can't apply {_PROC_} to special {name:U}", { name: procname });
+    var routine = template(procname);
 
     var args = [];
     for (var i = 1; i < arguments.length; i += 1)
@@ -3059,37 +4476,25 @@ function LogoInterpreter(turtle, stream, savehook)
   });
 
   def("foreach", function(procname, list) {
-    procname = sexpr(procname);
-
-    var routine = self.routines.get(procname);
-    if (!routine)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: procname });
-    if (routine.special || routine.noeval)
-      throw err("Can't apply {_PROC_} to special {name:U}", { name: procname });
+    var routine = template(procname);
     list = lexpr(list);
+    var position = 0;
     return promiseLoop(function(loop, resolve, reject) {
       if (!list.length) {
         resolve();
         return;
       }
-      Promise.resolve(routine(list.shift()))
+      callTemplate(routine, [list.shift()], ++position)
         .then(loop, reject);
     });
   });
 
 
-  def("map", function(procname, list/*,  ... */) {
-    procname = sexpr(procname);
-
-    var routine = self.routines.get(procname);
-    if (!routine)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: procname });
-    if (routine.special || routine.noeval)
-      throw err("Can't apply {_PROC_} to special {name:U}", { name: procname });
-
-    var lists = Array.prototype.slice.call(arguments, 1).map(lexpr);
+  // Call routine with the members of lists in turn, resolving to a
+  // list of the outputs
+  function mapLists(routine, lists) {
     if (!lists.length)
-      throw err("{_PROC_}: Expected list");
+      throw err("{_PROC_}: Expected list", 7);
 
     var mapped = [];
     return promiseLoop(function(loop, resolve, reject) {
@@ -3100,58 +4505,60 @@ function LogoInterpreter(turtle, stream, savehook)
 
       var args = lists.map(function(l) {
         if (!l.length)
-          throw err("{_PROC_}: Expected lists of equal length");
+          throw err("{_PROC_}: Expected lists of equal length", 7);
         return l.shift();
       });
 
-      Promise.resolve(routine.apply(null, args))
+      callTemplate(routine, args, mapped.length + 1)
         .then(function(value) { mapped.push(value); })
         .then(loop, reject);
     });
+  }
+
+  def("map", function(procname, list/*,  ... */) {
+    var routine = template(procname);
+    return mapLists(routine, Array.prototype.slice.call(arguments, 1).map(lexpr));
   });
 
-  // Not Supported: map.se
+  def("map.se", function(procname, list/*,  ... */) {
+    var routine = template(procname);
+    return mapLists(routine, Array.prototype.slice.call(arguments, 1).map(lexpr))
+      .then(function(mapped) {
+        return mapped.reduce(function(sentence, value) {
+          return sentence.concat(Type(value) === 'list' ? lexpr(value) : [value]);
+        }, []);
+      });
+  });
 
   def("filter", function(procname, list) {
-    procname = sexpr(procname);
-
-    var routine = self.routines.get(procname);
-    if (!routine)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: procname });
-    if (routine.special || routine.noeval)
-      throw err("Can't apply {_PROC_} to special {name:U}", { name: procname });
+    var routine = template(procname);
 
     list = lexpr(list);
-    var filtered = [];
+    var filtered = [], position = 0;
     return promiseLoop(function(loop, resolve, reject) {
       if (!list.length) {
         resolve(filtered);
         return;
       }
       var item = list.shift();
-      Promise.resolve(routine(item))
+      callTemplate(routine, [item], ++position)
         .then(function(value) { if (value) filtered.push(item); })
         .then(loop, reject);
     });
   });
 
   def("find", function(procname, list) {
-    procname = sexpr(procname);
-
-    var routine = self.routines.get(procname);
-    if (!routine)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: procname });
-    if (routine.special || routine.noeval)
-      throw err("Can't apply {_PROC_} to special {name:U}", { name: procname });
+    var routine = template(procname);
 
     list = lexpr(list);
+    var position = 0;
     return promiseLoop(function(loop, resolve, reject) {
       if (!list.length) {
         resolve([]);
         return;
       }
       var item = list.shift();
-      Promise.resolve(routine(item))
+      callTemplate(routine, [item], ++position)
         .then(function(value) {
           if (value) {
             resolve(item);
@@ -3163,16 +4570,10 @@ function LogoInterpreter(turtle, stream, savehook)
   });
 
   def("reduce", function(procname, list) {
-    procname = sexpr(procname);
+    var procedure = template(procname);
     list = lexpr(list);
     var value = arguments[2] !== undefined ? arguments[2] : list.shift();
 
-    var procedure = self.routines.get(procname);
-    if (!procedure)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: procname });
-    if (procedure.special || procedure.noeval)
-      throw err("Can't apply {_PROC_} to special {name:U}", { name: procname });
-
     return promiseLoop(function(loop, resolve, reject) {
       if (!list.length) {
         resolve(value);
@@ -3186,17 +4587,11 @@ function LogoInterpreter(turtle, stream, savehook)
 
 
   def("crossmap", function(procname, list/*,  ... */) {
-    procname = sexpr(procname);
-
-    var routine = self.routines.get(procname);
-    if (!routine)
-      throw err("{_PROC_}: Don't know how to {name:U}", { name: procname });
-    if (routine.special || routine.noeval)
-      throw err("Can't apply {_PROC_} to special {name:U}", { name: procname });
+    var routine = template(procname);
 
     var lists = Array.prototype.slice.call(arguments, 1).map(lexpr);
     if (!lists.length)
-      throw err("{_PROC_}: Expected list");
+      throw err("{_PROC_}: Expected list", 7);
 
     // Special case: if only one element is present, use as list of lists.
     if (lists.length === 1)
@@ -3232,9 +4627,98 @@ function LogoInterpreter(turtle, stream, savehook)
     });
   });
 
-  // Not Supported: cascade
-  // Not Supported: cascade.2
-  // Not Supported: transfer
+  // Inputs are endtest, then pairs of template and start value, then
+  // an optional final template.
+  function cascade(args) {
+    if (args.length < 3)
+      throw err("Not enough inputs to {_PROC_}", 6);
+
+    var endtest = args[0], count, test;
+    if (Type(endtest) === 'word' && isNumber(endtest))
+      count = aexpr(endtest);
+    else
+      test = template(endtest);
+
+    var templates = [], values = [];
+    for (var i = 1; i + 1 < args.length; i += 2) {
+      templates.push(template(args[i]));
+      values.push(args[i + 1]);
+    }
+    var final = args.length % 2 === 0 ? template(args[args.length - 1]) : undefined;
+
+    var iteration = 0, yielder = promiseYielder(TAIL_YIELD_MS);
+    return promiseLoop(function(loop, resolve, reject) {
+      Promise.resolve(test ? callTemplate(test, values, iteration + 1) : iteration >= count)
+        .then(function(done) {
+          if (done) {
+            resolve(final ? callTemplate(final, values, iteration + 1) : values[0]);
+            return undefined;
+          }
+          iteration += 1;
+          return serialExecute(templates.map(function(routine) {
+            return function() { return callTemplate(routine, values, iteration); };
+          })).then(function(results) {
+            values = results;
+            return yielder();
+          }).then(loop);
+        }).catch(reject);
+    });
+  }
+
+  def("cascade", function(endtest, procname, startvalue) {
+    return cascade(Array.from(arguments));
+  });
+
+  def("cascade.2", function(endtest, procname1, startvalue1, procname2, startvalue2) {
+    return cascade(Array.from(arguments));
+  });
+
+  def("transfer", function(endtest, procname, inbasket) {
+    var test = (Type(endtest) === 'list' && !endtest.length) ? undefined : template(endtest);
+    var routine = template(procname);
+    inbasket = lexpr(inbasket);
+
+    var outbasket = [], iteration = 0, yielder = promiseYielder(TAIL_YIELD_MS);
+    return promiseLoop(function(loop, resolve, reject) {
+      if (!inbasket.length) {
+        resolve(outbasket);
+        return;
+      }
+      Promise.resolve(test ? callTemplate(test, [inbasket[0], outbasket], iteration + 1) : 0)
+        .then(function(done) {
+          if (done) {
+            resolve(outbasket);
+            return undefined;
+          }
+          iteration += 1;
+          return callTemplate(routine, [inbasket.shift(), outbasket], iteration)
+            .then(function(result) {
+              outbasket = result;
+              return yielder();
+            }).then(loop);
+        }).catch(reject);
+    });
+  });
+
+  //
+  // 8.3 Macros
+  //
+
+  // Run the output of a macro in place of its call, in the caller's
+  // scope
+  function runMacro(result) {
+    if (result === undefined || Type(result) !== 'list')
+      throw err("{_PROC_}: Macro didn't output a list", 29);
+    return self.execute(reparse(result), {returnResult: true});
+  }
+
+  def(".macro", function(list) {
+    to(list, true);
+  }, {special: true});
+
+  def(".defmacro", function(name, list) {
+    define(name, list, true);
+  });
 
   // Helper for testing that wraps a result in a Promise
   def(".promise", function(value) {
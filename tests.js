@@ -41,6 +41,16 @@ QUnit.module("Logo Unit Tests", {
         return res;
       },
 
+      readchar: function() {
+        var res = this.inputbuffer.charAt(0);
+        this.inputbuffer = this.inputbuffer.substring(1);
+        return Promise.resolve(res || undefined);
+      },
+
+      keyp: function() {
+        return this.inputbuffer.length > 0;
+      },
+
       outputbuffer: "",
 
       write: function() {
@@ -194,6 +204,21 @@ QUnit.test("Parser", function(t) {
   this.assert_equals('count [ abc;com ment~\ndef  ]', 1);
   this.assert_equals('count [ abc;com ment\\~\ndef  ]', 2);
 
+  // Vertical bars
+
+  this.assert_equals('"|abc def|', 'abc def');
+  this.assert_equals('"a|b c|d', 'ab cd');
+  this.assert_equals('"|a;b|', 'a;b');
+  this.assert_equals('"|a[b]|', 'a[b]');
+  this.assert_equals('make "|a b| 1  :|a b|', 1);
+  this.assert_equals('[ |a b| c ]', ['a b', 'c']);
+  this.assert_equals('[ |[a]| || ]', ['[a]', '']);
+  this.assert_equals('count [ |a;b| ]', 1);
+  this.assert_equals('count { |a b| c }', 2);
+  this.assert_stream('show [ |a b| c |[d]| || ]', '[|a b| c |[d]| ||]\n');
+  this.assert_stream('show "|a b|', 'a b\n');
+  this.assert_stream('print [ |a b| c ]  print se "|a b| "c', 'a b c\na b c\n');
+
 
   //
   // Types
@@ -426,6 +451,9 @@ QUnit.test("Data Structure Primitives", function(t) {
   this.assert_equals('split 3 [1 2 3 4 1 2 3 4 1 2 3 4 ]', [['1', '2'], ['4', '1', '2'], ['4', '1', '2'], ['4']]);
   this.assert_equals('split 4 [1 2 3 4 1 2 3 4 1 2 3 4 ]', [['1', '2', '3'], ['1', '2', '3'], ['1', '2', '3']]);
 
+  this.assert_equals('quoted "a', '"a');
+  this.assert_equals('quoted [a b]', ['a', 'b']);
+
   //
   // 2.3 Data Mutators
   //
@@ -582,6 +610,10 @@ QUnit.test("Data Structure Primitives", function(t) {
   this.assert_equals('substring? "a "abc', 1);
   this.assert_equals('substring? "z "abc', 0);
 
+  this.assert_equals('vbarredp "a', 0);
+  this.assert_equals('vbarredp "| |', 1);
+  this.assert_equals('vbarred? "|[|', 1);
+
   //
   // 2.5 Queries
   //
@@ -596,6 +628,8 @@ QUnit.test("Data Structure Primitives", function(t) {
 
   this.assert_equals('ascii "A', 65);
   this.assert_equals('char 65', 'A');
+  this.assert_equals('rawascii "A', 65);
+  this.assert_equals('rawascii "| |', 32);
 
   this.assert_equals('member "a "banana', 'anana');
   this.assert_equals('member "z "banana', '');
@@ -610,10 +644,17 @@ QUnit.test("Data Structure Primitives", function(t) {
   this.assert_equals('standout "whatever', '\uD835\uDC30\uD835\uDC21\uD835\uDC1A\uD835\uDC2D\uD835\uDC1E\uD835\uDC2F\uD835\uDC1E\uD835\uDC2B');
   this.assert_equals('standout "ABCabc123', '\uD835\uDC00\uD835\uDC01\uD835\uDC02\uD835\uDC1A\uD835\uDC1B\uD835\uDC1C\uD835\uDFCF\uD835\uDFD0\uD835\uDFD1');
   this.assert_equals('standout "!@#$_,.?', '!@#$_,.?');
+
+  this.assert_equals('parse "|a b [c d]|', ['a', 'b', ['c', 'd']]);
+  this.assert_equals('parse "', []);
+  this.assert_equals('parse "|a;b c|', ['a;b', 'c']);
+  this.assert_equals('runparse "|print 1+2|', ['print', '1', '+', '2']);
+  this.assert_equals('runparse "|print -3 - -:x|', ['print', '-3', '-', 'minus', ':x']);
+  this.assert_equals('runparse [print "a]', ['print', '"a']);
 });
 
 QUnit.test("Communication", function(t) {
-  t.expect(22);
+  t.expect(66);
 
   // 3.1 Transmitters
 
@@ -652,9 +693,152 @@ QUnit.test("Communication", function(t) {
   this.assert_prompt('(readword "query "extra)', 'query');
   this.assert_prompt('(readword [a b c])', 'a b c');
 
+  this.queue(function() {
+    this.stream.inputbuffer = "a |b c| [d e]";
+  });
+  this.assert_equals('readlist', ['a', 'b c', ['d', 'e']]);
+  this.assert_prompt('(readlist "query)', 'query');
+
+  this.queue(function() {
+    this.stream.inputbuffer = "a \\b ;c";
+  });
+  this.assert_equals('readrawline', 'a \\b ;c');
+
+  this.queue(function() {
+    this.stream.inputbuffer = "xyz";
+  });
+  this.assert_equals('readchar', 'x');
+  this.assert_equals('readchars 3', 'yz');
+  this.assert_equals('readchar', []);
+
+  this.queue(function() {
+    this.stream.inputbuffer = "abcd";
+  });
+  this.assert_equals('readchars 3', 'abc');
+
+  this.queue(function() {
+    var stream = this.stream;
+    stream.read = function() {
+      return new Promise(function(resolve) {
+        setTimeout(function() { resolve('later'); }, 10);
+      });
+    };
+  });
+  this.assert_equals('readword', 'later');
+
+  // Stopping while waiting for input stops the program there
+  this.queue(function() {
+    var stream = this.stream, interpreter = this.interpreter, read = stream.read;
+    stream.read = function() {
+      stream.read = read;
+      interpreter.bye();
+      return undefined;
+    };
+  });
+  this.assert_stream('print readword  print "after', '');
+
   // 3.3 File Access
+
+  this.assert_equals('filep "f1', 0);
+  this.assert_equals('openwrite "f1  setwrite "f1  print [a |b c|]  type 1  ' +
+                     'show writer  setwrite []  (list writer allopen)', [[], ['f1']]);
+  this.assert_equals('close "f1  allopen', []);
+  this.assert_equals('file? "f1', 1);
+  this.assert_equals('openread "f1  setread "f1  make "r reader  make "l readlist  ' +
+                     'make "w readword  setread []  close "f1  (list :r :l :w)',
+                     ['f1', ['a', 'b', 'c'], '1f1']);
+  this.assert_stream('openread "f1  setread "f1  ' +
+                     'while [not eofp] [show readchar]  show readword  closeall',
+                     'a\n \nb\n \nc\n\n\n1\nf\n1\n\n\n[]\n');
+  this.assert_equals('openappend "f1  setwrite "f1  print "more  closeall  ' +
+                     'openread "f1  setread "f1  ignore readrawline  ignore readrawline  ' +
+                     'readrawline', 'more');
+  this.assert_equals('closeall  erasefile "f1  filep "f1', 0);
+
+  this.assert_equals('prefix', []);
+  this.assert_equals('setprefix "dir  openwrite "f2  close "f2  setprefix []  filep "dir/f2', 1);
+  this.assert_equals('setprefix "dir  prefix', 'dir');
+
+  this.queue(function() {
+    return this.interpreter.filesystem.read('dir/f2').then(function(text) {
+      t.equal(text, '', 'filesystem read');
+    });
+  });
+
+  this.assert_equals('openwrite [v]  setwrite [v]  print [a b]  type 1  ' +
+                     'make "w writer  setwrite []  close [v]  (list :v :w)',
+                     ['a b\n1', ['v']]);
+  this.assert_equals('make "v "x  openappend [v]  setwrite [v]  show "y  close [v]  :v', 'xy\n');
+  this.assert_equals('openread [|a b|]  setread [|a b|]  make "r reader  ' +
+                     'make "l readlist  make "e eofp  close [|a b|]  (list :r :l :e)',
+                     [['a b'], ['a', 'b'], 1]);
+  this.assert_equals('to capture  openwrite [c]  setwrite [c]  print "hi  ' +
+                     'setwrite []  close [c]  output :c  end  capture', 'hi\n');
+  this.assert_equals('to inner  openwrite [b]  setwrite [b]  print "x  setwrite []  close [b]  end  ' +
+                     'openwrite [a]  setwrite [a]  print 1  inner  print 2  setwrite []  close [a]  ' +
+                     '(list :a :b)', ['1\n2\n', 'x\n']);
+  this.assert_error('openwrite [e]  setwrite [e]  print 1  nosuchproc', "Don't know how to NOSUCHPROC");
+  this.assert_stream('print "after  close [e]', 'after\n');
+
+  // Typed input is recorded; stream.read was replaced above
+  this.assert_equals('setprefix []  dribble "d1  print [a b]  type 1  make "w readword  ' +
+                     'nodribble  print "c  openread "d1  setread "d1  ' +
+                     '(list readrawline readrawline readrawline readrawline)',
+                     ['a b', '1later', [], []]);
+  this.run('dribble "d2');
+  this.queue(function() {
+    return this.interpreter.transcribe('? print 2\n');
+  });
+  this.run('print 2  nodribble');
+  this.queue(function() {
+    t.equal(this.interpreter.transcript(), 'd2', 'transcript');
+    return this.interpreter.filesystem.read('d2').then(function(text) {
+      t.equal(text, '? print 2\n2\n', 'transcript file');
+    });
+  });
+  // Output is saved shortly after, without waiting for NODRIBBLE
+  var outputSaved;
+  this.queue(function() {
+    var fs = this.interpreter.filesystem, write = fs.write;
+    outputSaved = new Promise(function(resolve) {
+      fs.write = function(path, text) {
+        var promise = write.apply(fs, arguments);
+        if (text === '3\n') {
+          fs.write = write;
+          resolve(promise.then(function() { return fs.read(path); }));
+        }
+        return promise;
+      };
+    });
+  });
+  this.run('dribble "d5  print 3');
+  this.queue(function() {
+    return outputSaved.then(function(text) {
+      t.equal(text, '3\n', 'output saved while dribbling');
+    });
+  });
+  this.run('nodribble');
+  this.assert_error('dribble "d3  dribble "d4', 'DRIBBLE: Already dribbling');
+  this.assert_equals('nodribble  nodribble  filep "d3', 1);
+
+  this.assert_error('openread "nosuchfile', "OPENREAD: Can't open file nosuchfile");
+  this.assert_error('close "nosuchfile', 'CLOSE: File nosuchfile not open');
+  this.assert_error('openwrite "f3  openwrite "f3', 'OPENWRITE: File f3 already open');
+  this.assert_error('setread "f3', 'SETREAD: File f3 not open for reading');
+  this.assert_error('openread [a b]', "OPENREAD: Doesn't like [a b] as input");
+  this.assert_error('setwrite [v]', 'SETWRITE: File [v] not open');
+
   // 3.4 Terminal Access
 
+  this.queue(function() {
+    this.stream.inputbuffer = "k";
+  });
+  this.assert_equals('closeall  keyp', 1);
+  this.assert_equals('readchar', 'k');
+  this.assert_equals('key?', 0);
+  this.assert_equals('openread [ab]  setread [ab]  make "k keyp  ignore readchars 2  ' +
+                     '(list :k keyp)', [1, 0]);
+
   this.assert_stream('print "a cleartext', '');
   this.assert_stream('print "a ct', '');
 
@@ -878,7 +1062,7 @@ QUnit.test("Logical Operations", function(t) {
 });
 
 QUnit.test("Graphics", function(t) {
-  t.expect(90);
+  t.expect(180);
 
   // NOTE: test canvas is 300,300 (so -150...150 coordinates before hitting)
   // edge
@@ -995,6 +1179,30 @@ QUnit.test("Graphics", function(t) {
 
   this.assert_equals('setpensize 6 pensize', [6, 6]);
   this.assert_equals('setpensize [6 6] pensize', [6, 6]);
+  this.assert_equals('setpensize [4 8] pensize', [4, 8]);
+
+  this.assert_equals('setpenpattern [10 5] penpattern', [10, 5]);
+  this.assert_equals('setpenpattern [0 0] penpattern', []);
+  this.assert_error('setpenpattern [1 -1]', 'SETPENPATTERN: Expected list of non-negative numbers');
+
+  this.assert_equals('pd  ppt  setpc 3  setpensize [2 3]  setpenpattern [4 2]  pen',
+                     ['PENDOWN', 'PAINT', '3', [2, 3], [4, 2]]);
+  this.assert_equals('make "p pen  pu  pe  setpc 5  setpensize 9  setpenpattern []  setpen :p  pen',
+                     ['PENDOWN', 'PAINT', '3', [2, 3], [4, 2]]);
+  this.assert_equals('setpen [penup reverse #123456 1 []]  pen', ['PENUP', 'REVERSE', '#123456', [1, 1], []]);
+  this.assert_error('setpen [pendown paint 0 1]', 'SETPEN: Expected list of length 5');
+  this.assert_error('setpen [sideways paint 0 1 []]', "SETPEN: Doesn't like sideways as input");
+
+  this.assert_equals('cs  ppt  pd  setpc 0  setpenpattern [10 5]  window  fd 7  pu  fd 1  pd  fd 7  ' +
+                     'wrap  pu  setxy 0 145  pd  fd 10  svgpict "pict7  setpenpattern []  filep "pict7', 1);
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict7').then(function(text) {
+      t.ok(text.indexOf('d="M0 8 L0 15" fill="none" stroke="#000000" stroke-width="1" ' +
+                        'stroke-dasharray="10 5" stroke-dashoffset="7"') !== -1, 'pattern continues');
+      t.ok(text.indexOf('d="M0 -150 L0 -145" fill="none" stroke="#000000" stroke-width="1" ' +
+                        'stroke-dasharray="10 5" stroke-dashoffset="4"') !== -1, 'pattern continues across wrap');
+    });
+  });
 
   this.assert_equals('setbackground 0 background', '0');
   this.assert_equals('setscreencolor 0 background', '0');
@@ -1002,6 +1210,23 @@ QUnit.test("Graphics", function(t) {
   this.assert_equals('setbackground "#123456 background', '#123456');
   this.assert_equals('setbackground [0 50 99] background', '#0080ff');
 
+  this.assert_equals('setpalette 16 [0 50 99]  setpencolor 16  (list pencolor palette 16)', ['16', [0, 50, 99]]);
+  this.assert_equals('setpalette 20 "#ff0000  palette 20', [99, 0, 0]);
+  this.assert_equals('setpalette 8 16  palette 8', [0, 50, 99]);
+  this.assert_equals('setbackground 20  background', '20');
+  this.assert_equals('palette 4', [99, 0, 0]);
+  this.assert_equals('palette 99', [0, 0, 0]);
+  this.assert_error('setpalette 3 "red', "SETPALETTE: Doesn't like 3 as input");
+  this.assert_error('setpalette 8.5 "red', "SETPALETTE: Doesn't like 8.5 as input");
+  this.assert_error('palette -1', "PALETTE: Doesn't like -1 as input");
+
+  this.assert_equals('cs  ppt  pd  setpencolor 16  setpalette 16 "#ff0000  fd 10  svgpict "pict6  pencolor', '16');
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict6').then(function(text) {
+      t.ok(text.indexOf('stroke="#ff0000"') !== -1, 'palette change used by pen');
+    });
+  });
+
   //
   // 6.6 Pen Queries
   //
@@ -1027,11 +1252,144 @@ QUnit.test("Graphics", function(t) {
   this.assert_equals('setsc [0 50 99] getscreencolor', '#0080ff');
 
   // 6.7 Saving and Loading Pictures
+
+  this.assert_equals('cs  setpencolor "#ff0000  setxy 10 20  savepict "pict1  filep "pict1', 1);
+  this.assert_equals('cs  setpencolor "#0000ff  setxy 30 40  loadpict "pict1  pos', [10, 20]);
+  this.assert_equals('pencolor', '#ff0000');
+  this.assert_error('loadpict "nopict', "LOADPICT: Can't open file nopict");
+  this.assert_error('openwrite "notpict  close "notpict  loadpict "notpict',
+                    'LOADPICT: File notpict is not a picture');
+
+  this.assert_equals('cs  setscrunch 1 1  wrap  pd  fd 10  rt 90  fd 10  pu  setxy 0 140  seth 0  pd  fd 20  ' +
+                     'svgpict "pict2  filep "pict2', 1);
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict2').then(function(text) {
+      t.ok(/^<svg /.test(text), 'svgpict document');
+      t.ok(text.indexOf('d="M0 0 L0 10 L10 10"') !== -1, 'svgpict lines');
+      t.ok(text.indexOf('d="M0 140 L0 150"') !== -1 && text.indexOf('d="M0 -150 L0 -140"') !== -1,
+           'svgpict wrapped line');
+    });
+  });
+  this.assert_equals('cs  window  arc 90 10  label "|a<b|  filled "red [fd 10 rt 90 fd 10]  wrap  ' +
+                     'svgpict "pict2  epspict "pict3  filep "pict3', 1);
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict2').then(function(text) {
+      t.ok(text.indexOf('d="M0 -10 A10 10 0 0 1 10 0"') !== -1, 'svgpict arc');
+      t.ok(text.indexOf('>a&#60;b</text>') !== -1, 'svgpict label');
+      t.ok(text.indexOf('d="M0 0 L0 10 L10 10 Z" fill="#ff0000"') !== -1, 'svgpict filled');
+    });
+  });
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict3').then(function(text) {
+      t.ok(/^%!PS-Adobe-3.0 EPSF-3.0\n/.test(text), 'epspict document');
+      t.ok(text.indexOf('0 0 10 -90 0 arc') !== -1, 'epspict arc');
+      t.ok(text.indexOf('(a<b) show') !== -1, 'epspict label');
+      t.ok(text.indexOf('newpath 0 0 moveto 0 10 lineto 10 10 lineto\nclosepath') !== -1, 'epspict filled');
+    });
+  });
+  this.assert_equals('cs  svgpict "pict2  filep "pict2', 1);
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict2').then(function(text) {
+      t.equal(text.indexOf('<path'), -1, 'svgpict after clearscreen');
+    });
+  });
+  this.assert_stream('cs  setpencolor "red  fill  svgpict "pict2  epspict "pict3',
+                     'EPSPICT: Fills and pictures were left out\n');
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict2').then(function(text) {
+      t.ok(/<image x="0" y="0" width="300" height="300" xlink:href="data:image\/png/.test(text), 'svgpict fill');
+    });
+  });
+  this.assert_stream('cs  fd 10  epspict "pict3', '');
+  // A display list that gets too big is kept as an image instead
+  this.assert_equals('cs  pu  setxy 20 20  pd  fd 10  pu  home  repeat 5 [setpencolor repcount  fill]  svgpict "pict2  filep "pict2', 1);
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict2').then(function(text) {
+      t.ok(text.indexOf('<path') === -1 && text.split('<image').length === 2, 'svgpict flattened');
+    });
+  });
+
   // 6.8 Mouse Queries
+
+  this.assert_equals('buttonp', 0);
+  this.assert_equals('button', 0);
+  this.queue(function() {
+    this.turtle.mousemove(200, 100);
+  });
+  this.assert_equals('mousepos', [50, 50]);
+  this.queue(function() {
+    this.turtle.mousedown(100, 250, 2);
+  });
+  this.assert_equals('(list clickpos buttonp button)', [[-50, -100], 1, 2]);
+  this.queue(function() {
+    this.turtle.mouseup(150, 150);
+  });
+  this.assert_equals('(list mousepos clickpos button?)', [[0, 0], [-50, -100], 0]);
+  this.assert_equals('setscrunch 2 0.5', undefined);
+  this.queue(function() {
+    this.turtle.mousemove(200, 100);
+  });
+  this.assert_equals('mousepos', [25, 100]);
+
+  // Multiple Turtles
+
+  this.assert_equals('setscrunch 1 1  st  (list who turtles)', [0, [0]]);
+  this.assert_equals('cs  tell 1  fd 10  (list who turtles pos)', [1, [0, 1], [0, 10]]);
+  this.assert_equals('tell 0  pos', [0, 0]);
+  this.assert_equals('tell [0 1]  rt 90  fd 5  (list who heading)', [[0, 1], 90]);
+  this.assert_equals('ask 1 [pos]', [5, 10]);
+  this.assert_equals('ask [2 3] [setpencolor "red  ht]  (list who turtles shownp)', [[0, 1], [0, 1, 2, 3], 1]);
+  this.assert_equals('ask 3 [(list pencolor shownp pos heading)]', ['red', 0, [0, 0], 0]);
+  this.assert_equals('tell 0  pu  (list pendownp ask 1 [pendownp])', [0, 1]);
+  this.assert_equals('catch "x [ask 2 [throw "x]]  who', 0);
+  this.assert_equals('to g output who end  to h ask 1 [output g] end  h', 1);
+  this.assert_error('tell -1', 'TELL: Expected turtle number');
+  this.assert_error('tell []', 'TELL: Expected turtle number');
+  this.assert_error('ask 1.5 [fd 1]', 'ASK: Expected turtle number');
+
+  // Turtle Shapes
+
+  this.assert_equals('(list shape turtlesize)', ['turtle', 1]);
+  this.assert_equals('setshape "Arrow  shape', 'arrow');
+  this.assert_equals('setshape [[0 10] [10 0] [0 -10]]  shape', [[0, 10], [10, 0], [0, -10]]);
+  this.assert_equals('setturtlesize 2  turtlesize', 2);
+  this.assert_equals('ask 5 [(list shape turtlesize)]', ['turtle', 1]);
+  this.assert_error('setshape "blob', "SETSHAPE: Doesn't like blob as input");
+  this.assert_error('setshape [1 2]', 'SETSHAPE: Expected list of points');
+  this.assert_error('setturtlesize 0', 'SETTURTLESIZE: Expected positive number');
+
+  this.assert_equals('cs  setshape "square  setturtlesize 1  stamp  ' +
+                     'rt 90  fd 30  setturtlesize 0.5  stamp  svgpict "pict4  filep "pict4', 1);
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict4').then(function(text) {
+      t.ok(text.indexOf('d="M-10 -10 L-10 10 L10 10 L10 -10 Z"') !== -1, 'stamp');
+      t.ok(text.indexOf('d="M25 5 L35 5 L35 -5 L25 -5 Z"') !== -1, 'stamp turned and scaled');
+    });
+  });
+
+  // Turtle Speed
+
+  this.assert_equals('speed', 'max');
+  this.assert_equals('setspeed 1000  speed', 1000);
+  this.assert_equals('cs  window  fd 100  rt 90  (list round xcor round ycor heading)', [0, 100, 90]);
+  this.assert_equals('bk 50  lt 90  (list round xcor round ycor heading)', [-50, 100, 0]);
+  this.assert_equals('home  fd 10  pos', [0, 10]);
+  this.assert_equals('setxy 30 40  pos', [30, 40]);
+  this.assert_equals('arc 90 10  (list pos heading)', [[30, 40], 0]);
+  this.assert_equals('wrap  setxy 0 140  fd 20  round ycor', -140);
+  this.assert_equals('tell [0 1]  home  fd 20  (list ask 0 [round ycor] ask 1 [round ycor])', [20, 20]);
+  this.assert_equals('tell 0  cs  fd 50  svgpict "pict5  filep "pict5', 1);
+  this.queue(function() {
+    return this.interpreter.filesystem.read('pict5').then(function(text) {
+      t.equal(text.match(/<path /g).length, 1, 'animated line is one path');
+    });
+  });
+  this.assert_equals('setspeed "max  speed', 'max');
+  this.assert_error('setspeed 0', 'SETSPEED: Expected positive number');
 });
 
 QUnit.test("Workspace Management", function(t) {
-  t.expect(97);
+  t.expect(130);
 
   //
   // 7.1 Procedure Definition
@@ -1057,6 +1415,20 @@ QUnit.test("Workspace Management", function(t) {
   this.assert_equals('to foo 1 + 2 - 3 * 4 / 5 % 6 ^ -1 end  text "foo',
                      [[], ['1', '+', '2', '-', '3', '*', '4', '/', '5', '%', '6', '^', '<UNARYMINUS>', '1']]);
 
+  this.assert_equals('to foo :a [:b :a * 2] [:c] output (list :a :b :c) end  foo 1', [1, 2, []]);
+  this.assert_equals('(foo 1 5 7 8)', [1, 5, [7, 8]]);
+  this.assert_equals('to foo :a [:b 2] 2 output :a + :b end  foo 1 10', 11);
+  this.assert_equals('(foo 1)', 3);
+  this.assert_equals('to foo :a [:b "x] [:c] 2 end  def "foo', 'to foo :a [:b "x] [:c] 2\n  \nend');
+  this.assert_equals('text "foo', [['a', ['b', '"x'], ['c'], 2], []]);
+  this.assert_equals('define "bar text "foo  def "bar', 'to bar :a [:b "x] [:c] 2\n  \nend');
+  this.assert_equals('to foo print "|a b| print :|c d| show [|e f| g] end  def "foo',
+                     'to foo\n  print "|a b| print :|c d| show [ |e f| g ]\nend');
+  this.assert_equals('to foo print "|a(b| end  def "foo', 'to foo\n  print "|a(b|\nend');
+  this.assert_error('to foo :a [:b 1] end  (foo)', 'Not enough inputs to FOO');
+  this.assert_error('(foo 1 2 3)', 'Too many inputs to FOO');
+  this.assert_error('to foo :a [:b 1] 3 end', 'TO: Bad default number of inputs 3');
+
 
   // TODO: copydef + redefp
 
@@ -1130,6 +1502,11 @@ QUnit.test("Workspace Management", function(t) {
   this.assert_equals('to foo end  defined? "foo', 1);
   this.assert_equals('defined? "sentence', 0);
 
+  this.assert_equals('macrop "notdefined', 0);
+  this.assert_equals('to foo end  macrop "foo', 0);
+  this.assert_equals('.macro foo output [] end  macro? "foo', 1);
+  this.assert_equals('macrop "sentence', 0);
+
   this.assert_equals('namep "notdefined', 0);
   this.assert_equals('make "foo 5 namep "foo', 1);
 
@@ -1206,10 +1583,45 @@ QUnit.test("Workspace Management", function(t) {
 
   // 7.6 Workspace Inspection
   // 7.7 Workspace Control
+
+  this.assert_equals('unburyall erall  make "a 1  to b output 2 end  pprop "c "d "e  traced', [[], [], []]);
+  this.assert_equals('unburyall erall  make "a 1  to b output 2 end  pprop "c "d "e  trace "b  traced', [['b'], [], []]);
+  this.assert_equals('unburyall erall  make "a 1  to b output 2 end  pprop "c "d "e  trace [b]  traced', [['b'], [], []]);
+  this.assert_equals('unburyall erall  make "a 1  to b output 2 end  pprop "c "d "e  trace [[b] [a] [c]]  traced', [['b'], ['a'], ['c']]);
+  this.assert_equals('unburyall erall  make "a 1  to b output 2 end  pprop "c "d "e  trace [[b] [a] [c]]  untrace [[b] [] [c]]  traced', [[], ['a'], []]);
+
+  this.assert_stream('erall  to foo :a :b end  trace "foo  foo "x [1 2]', '( foo "x [1 2] )\nfoo stops\n');
+  this.assert_stream('to fact :n if :n < 2 [output 1] output :n * fact :n - 1 end  trace "fact  show fact 2',
+                     '( fact 2 )\n ( fact 1 )\n fact outputs 1\nfact outputs 2\n2\n');
+  this.assert_stream('to g :n output :n + 1 end  to f :n output 2 * g :n end  trace "g  show f 1',
+                     '( g 1 )\ng outputs 2\n4\n');
+  this.assert_stream('untrace "fact  show fact 2', '2\n');
+  this.assert_stream('make "v 1  trace [[] [v]]  make "v [a b]  untrace [[] [v]]  make "v 2', 'make "v [a b]\n');
+  this.assert_stream('pprop "p "q 1  trace [[] [] [p]]  pprop "p "r "s  untrace [[] [] [p]]  pprop "p "r 2', 'pprop "p "r "s\n');
+
+  this.assert_equals('erall  to b output 2 end  step "b  stepped', [['b'], [], []]);
+  this.assert_equals('unstep "b  stepped', [[], [], []]);
+  this.assert_stream('to sq :n repeat 2 [if :n > 1 [type -:n]] end  step "sq  sq 2',
+                     'repeat 2 [ if :n > 1 [ type -:n ] ]\nif :n > 1 [ type -:n ]\ntype -:n\n-2' +
+                     'if :n > 1 [ type -:n ]\ntype -:n\n-2');
+  this.assert_stream('to outer sq 1 type "x end  step "outer  unstep "sq  outer  unstep "outer',
+                     'sq 1\ntype "x\nx');
+  this.queue(function() {
+    var steps = this.steps = [];
+    this.interpreter.stephook = function(text) {
+      steps.push(text);
+      return Promise.resolve();
+    };
+  });
+  this.assert_stream('to f print 1 print 2 end  step "f  f  unstep "f  f', 'print 1\n1\nprint 2\n2\n1\n2\n');
+  this.queue(function() {
+    t.deepEqual(this.steps, ['print 1', 'print 2'], 'stephook called before each instruction');
+    this.interpreter.stephook = null;
+  });
 });
 
 QUnit.test("Control Structures", function(t) {
-  t.expect(87);
+  t.expect(162);
   //
   // 8.1 Control
   //
@@ -1250,6 +1662,34 @@ QUnit.test("Control Structures", function(t) {
   this.assert_equals('to foo if 1 [ output "a ] output "b end  foo', 'a');
   this.assert_equals('to foo if 0 [ output "a ] output "b end  foo', 'b');
 
+  // Calls in tail position reuse the caller's frame
+  this.queue(function() {
+    var interpreter = this.interpreter;
+    interpreter.routines.set('.depth', function() { return interpreter.stack.length; });
+  });
+  this.assert_equals('to down :n if :n = 0 [output .depth] output down :n - 1 end  (down 100) - (down 0)', 0);
+  this.assert_equals('to down2 :n if :n = 0 [make "d .depth stop] down2 :n - 1 end  ' +
+                     'down2 0  make "e :d  down2 100  :d - :e', 0);
+  this.assert_equals('to down3 :n if :n = 0 [output "done] output down3 :n - 1 end  down3 5000', 'done');
+  this.assert_error('to foo output 1 end  to bar foo end  bar', "Don't know what to do with 1");
+  this.assert_equals('to bad :n if :n = 0 [print :nosuch] bad :n - 1 end  catch "error [bad 3]  item 3 error', 'BAD');
+  this.queue(function() { this.interpreter.routines['delete']('.depth'); });
+
+  // A tail callee still sees its caller's locals
+  this.assert_equals('to a :x output b end  to b output :x end  a 5', 5);
+  this.assert_stream('to a :x b end  to b print :x end  a 7', '7\n');
+  this.assert_equals('to a :x output b :x + 1 end  to b :y output (list :x :y) end  a 1', [1, 2]);
+  this.assert_equals('to a :x b end  to b make "x 3 end  make "x 1  a 2  :x', 1);
+
+  // Not while a CATCH in the procedure is running
+  this.assert_equals('to f output catch "x [output g] end  to g (throw "x 9) end  f', 9);
+  this.assert_error('to f catch "x [output g] end  f', "Don't know what to do with 9");
+  this.assert_equals('to f catch "error [output g] output "caught end  to g output :nosuch end  ' +
+                     '(list f item 2 error)', ['caught', "Don't know about variable NOSUCH"]);
+  this.assert_equals('to f output apply "output [1] end  f', '1');
+  this.assert_equals('to g output repcount end  to f repeat 3 [output g] end  f', 1);
+  this.assert_equals('to g output ? end  to f output map [output g] [5] end  f', '5');
+
   this.assert_equals('make "c 1  test 2 > 1  iftrue  [ make "c 2 ]  :c', 2);
   this.assert_equals('make "c 1  test 2 > 1  ift  [ make "c 2 ]  :c', 2);
   this.assert_equals('make "c 1  test 2 > 1  iffalse [ make "c 2 ]  :c', 1);
@@ -1272,6 +1712,53 @@ QUnit.test("Control Structures", function(t) {
   this.assert_equals('to foo output 123 end  foo', 123);
   this.assert_equals('to foo op 123 end  foo', 123);
 
+  this.assert_equals('catch "a [ throw "a ]', undefined);
+  this.assert_equals('catch "a [ (throw "a 123) ]', 123);
+  this.assert_equals('catch "a [ 1 + 2 ]', 3);
+  this.assert_equals('catch "a [ (throw "A 123) ]', 123);
+  this.assert_equals('to foo (throw "bar 5) output 6 end  catch "bar [ foo ]', 5);
+  this.assert_equals('make "x 0  ignore catch "a [ catch "b [ (throw "a 1) ] make "x 1 ]  :x', 0);
+  this.assert_equals('to foo catch "a [ stop ] output 1 end  foo', undefined);
+
+  this.assert_equals('error', []);
+  this.assert_equals('catch "error [ 1 / 0 ]  error', [7, 'Division by zero', [], ['1', '/', '0']]);
+  this.assert_equals('catch "error [ 1 / 0 ]  ignore error  error', []);
+  this.assert_equals('to foo :a output :a / 0 end  catch "error [ show foo 1 ]  error',
+                     [7, 'Division by zero', 'FOO', ['output', ':a', '/', '0']]);
+  this.assert_equals('catch "error [ nosuchproc ]  first error', 13);
+  this.assert_equals('catch "error [ throw "error ]  first error', 21);
+  this.assert_equals('catch "error [ (throw "error [oops]) ]  error', [35, 'oops', [], ['(', 'throw', '"error', ['oops'], ')']]);
+  this.assert_equals('make "x 0  catch "error [ make "x 1  1 / 0  make "x 2 ]  :x', 1);
+
+  this.assert_equals('make "x 1  to foo throw "toplevel make "x 2 end  foo  make "x 3', undefined);
+  this.assert_equals(':x', 1);
+
+  var paused = [];
+  this.queue(function() {
+    var interpreter = this.interpreter;
+    interpreter.pausehook = function(isPaused, name) {
+      paused.push([isPaused, name]);
+      if (isPaused)
+        interpreter.run('(continue :a + :b)');
+    };
+  });
+  this.assert_stream('to foo :a  localmake "b 2  print pause end  foo 1', 'Pausing...\n3\n');
+  this.queue(function() { t.deepEqual(paused, [[true, 'FOO'], [false, undefined]]); });
+  this.queue(function() {
+    var interpreter = this.interpreter;
+    interpreter.pausehook = function(isPaused, name) {
+      if (isPaused)
+        interpreter.run('make "seen :x  continue');
+    };
+  });
+  this.assert_stream('make "erract "true  to foo :x print :x / 0 end  foo 5',
+                     'Division by zero\nPausing...\n\nError: Error: Division by zero');
+  this.assert_equals(':seen', 5);
+  this.assert_equals('catch "error [ foo 6 ]  :seen', 5);
+  this.assert_stream('make "erract [ print [Oh no] ]  foo 7', 'Division by zero\nOh no\n\nError: Error: Division by zero');
+  this.queue(function() { this.interpreter.pausehook = null; });
+  this.assert_equals('ern "erract  make "seen 0  catch "error [ foo 8 ]  :seen', 0);
+
 
   this.assert_equals('to foo .maybeoutput 5 end  foo', 5);
   this.assert_equals('to foo .maybeoutput make "c 0 end  foo', undefined);
@@ -1279,6 +1766,14 @@ QUnit.test("Control Structures", function(t) {
 
   this.assert_equals('ignore 1 > 2', undefined);
 
+  this.assert_equals('to foo localmake "i 0 localmake "s [] tag "top make "i :i + 1 make "s lput :i :s ' +
+                     'if :i < 3 [goto "top] output :s end  foo', [1, 2, 3]);
+  this.assert_equals('to foo repeat 3 [if repcount = 2 [goto "out]] output "no tag "out output "yes end  foo', 'yes');
+  this.assert_equals('to foo goto "skip output 1 tag "skip output 2 end  foo', 2);
+
+  this.assert_equals('make "x 5  `[a ,:x ,[:x + 1] ,@[list 1 2] [b ,:x] c]', ['a', 5, 6, 1, 2, ['b', 5], 'c']);
+  this.assert_equals('`[a , [word "b "c]]', ['a', 'bc']);
+
   this.assert_equals('make "x 0  for [ r 1 5 ] [ make "x :x + :r ]  :x', 15);
   this.assert_equals('make "x 0  for [ r 0 10 2 ] [ make "x :x + :r ]  :x', 30);
 
@@ -1357,6 +1852,49 @@ QUnit.test("Control Structures", function(t) {
   this.assert_equals('(crossmap "word [a b] [1 2])', ['a1', 'a2', 'b1', 'b2']);
   this.assert_equals('crossmap "word [[a b] [1 2]]', ['a1', 'a2', 'b1', 'b2']);
 
+  // Templates
+  this.assert_equals('map [? * 2] [1 2 3]', [2, 4, 6]);
+  this.assert_equals('(map [?1 + ?2] [1 2] [10 20])', [11, 22]);
+  this.assert_equals('(map [(? 2)] [1 2] [10 20])', ['10', '20']);
+  this.assert_equals('map [list # ?] [a b]', [[1, 'a'], [2, 'b']]);
+  this.assert_equals('(invoke [?rest] 1 2 3)', [2, 3]);
+  this.assert_equals('map [map [? * 10] ?] [[1 2] [3]]', [[10, 20], [30]]);
+  this.assert_equals('filter [[x] :x > 3] [1 5 2 7]', ['5', '7']);
+  this.assert_equals('apply [[a b] :a - :b] [10 3]', 7);
+  this.assert_equals('apply [[a b] [output :a - :b]] [10 3]', 7);
+  this.assert_equals('make "x 0  foreach [[a] [make "x :x + :a]] [1 2 3]  :x', 6);
+  this.assert_equals('make "x []  foreach [make "x lput # :x] [a b c]  :x', [1, 2, 3]);
+  this.assert_equals('find [? > 2] [1 2 3 4]', '3');
+  this.assert_equals('reduce [?1 + ?2] [1 2 3 4]', 10);
+  this.assert_equals('(crossmap [word ?1 ?2] [a b] [1 2])', ['a1', 'a2', 'b1', 'b2']);
+  this.assert_equals('to double :x output :x * 2 end  to f output map [[x] [output double :x]] [1 2] end  f', [2, 4]);
+
+  this.assert_equals('map.se [list ? ?] [a b]', ['a', 'a', 'b', 'b']);
+  this.assert_equals('(map.se [?1 + ?2] [1 2] [10 20])', [11, 22]);
+  this.assert_equals('to twice :x output list :x :x end  map.se "twice [a [b]]', ['a', 'a', ['b'], ['b']]);
+
+  this.assert_equals('cascade 5 [? * 2] 1', 32);
+  this.assert_equals('(cascade [?1 > 100] [?1 * ?2] 1 [?2 + 1] 1)', 120);
+  this.assert_equals('(cascade 3 [lput # ?] [] [count ?])', 3);
+  this.assert_equals('cascade 0 [? * 2] 1', 1);
+  this.assert_equals('cascade.2 5 [?1 + ?2] 0 [?2 + 1] 1', 15);
+
+  this.assert_equals('transfer [] [lput ?in ?out] [a b c]', ['a', 'b', 'c']);
+  this.assert_equals('transfer [?in = "c] [fput ?in ?out] [a b c d]', ['b', 'a']);
+  this.assert_equals('transfer [] [[in out] se :out :in] [1 2]', ['1', '2']);
+
+  // 8.3 Macros
+  this.assert_equals('.macro my.while :cond :body ' +
+                     '  output (list "if :cond (se :body (list "my.while :cond :body))) end ' +
+                     'to count.to :n localmake "i 0 localmake "s [] ' +
+                     '  my.while [:i < :n] [make "i :i + 1 make "s lput :i :s] output :s end ' +
+                     'count.to 3', [1, 2, 3]);
+  this.assert_equals('.defmacro "twice [[x] [output se :x :x]]  ' +
+                     'to twice.y localmake "y 0 twice [make "y :y + 1] output :y end  twice.y', 2);
+  this.assert_equals('.macro seven output [3 + 4] end  seven * 2', 14);
+  this.assert_equals('def "twice', '.macro twice :x\n  output se :x :x\nend');
+  this.assert_error('.macro bad output 1 end  bad', 'BAD: Macro didn\'t output a list');
+
   // TODO: Order of operations
   // TODO: Structures, lists of lists
 });
@@ -1419,6 +1957,10 @@ QUnit.test("Error Messages", function(t) {
   this.assert_error("invoke \"nosuch [ 1 2 ]", "INVOKE: Don't know how to NOSUCH");
   this.assert_error("invoke \"to [ 1 2 ]", "Can't apply INVOKE to special TO");
   this.assert_error("invoke \"while [ 1 2 ]", "Can't apply INVOKE to special WHILE");
+  this.assert_error("show ?", "Can only use ? inside a template");
+  this.assert_error('goto "x', "Can only use GOTO inside a procedure");
+  this.assert_error('to foo goto "nope end  foo', "GOTO: Can't find tag NOPE in FOO");
+  this.assert_error("show map [?2] [1]", "?: Template has no input 2");
   this.assert_error("map \"nosuch [ 1 2 ]", "MAP: Don't know how to NOSUCH");
   this.assert_error("map \"to [ 1 2 ]", "Can't apply MAP to special TO");
   this.assert_error("map \"while [ 1 2 ]", "Can't apply MAP to special WHILE");
@@ -1439,6 +1981,11 @@ QUnit.test("Error Messages", function(t) {
   this.assert_error('towards []', 'TOWARDS: Expected list of length 2');
   this.assert_error('item 3 { 1 2 }', 'ITEM: Index out of bounds');
   this.assert_error('setitem 3 { 1 2 } 0', 'SETITEM: Index out of bounds');
+  this.assert_error('throw "nosuchtag', "Can't find catch tag for NOSUCHTAG");
+  this.assert_error('catch "a [ throw "b ]', "Can't find catch tag for B");
+  this.assert_error('throw "error', 'Throw "Error');
+  this.assert_error('(throw "error [my message])', 'my message');
+  this.assert_error('continue', "Can only use CONTINUE inside PAUSE");
 
 });
 
@@ -1530,4 +2077,70 @@ QUnit.test("API Tests", function(t) {
     t.ok(hookCalled);
     done();
   });
+
+  // LogoInterpreter#fireEvent - handlers run after runs already queued
+  this.run('make "keys 0  make "clicks 0  onkey [make "keys :keys + 1]  ' +
+           'onclick [make "clicks :clicks + 1]  onmousemove [make "clicks 100]  ' +
+           'onmousemove []');
+  this.queue(function() {
+    var eventsDone = t.async();
+    // The second key is dropped since the handler hasn't run yet
+    this.interpreter.fireEvent('key');
+    this.interpreter.fireEvent('key');
+    this.interpreter.fireEvent('click');
+    this.interpreter.fireEvent('mousemove');
+    this.interpreter.queueTask(function() {
+      var globals = this.interpreter.scopes[0];
+      t.equal(globals.get('keys').value, 1, 'onkey');
+      t.equal(globals.get('clicks').value, 1, 'onclick');
+      eventsDone();
+    }.bind(this));
+  });
+
+  // EVERY's timers are faked, and .TICK and .FIRE stand in for the
+  // host, so that handlers run at known points of a program.
+  var intervals = [], realSetInterval = window.setInterval,
+      realClearInterval = window.clearInterval;
+  var errors = [];
+  this.queue(function() {
+    var interpreter = this.interpreter;
+    window.setInterval = function(callback) { return intervals.push(callback) - 1; };
+    window.clearInterval = function(id) { intervals[id] = null; };
+    interpreter.routines.set('.tick', function() {
+      intervals.forEach(function(callback) { if (callback) callback(); });
+    });
+    interpreter.routines.set('.fire', function(type) { interpreter.fireEvent(type); });
+    interpreter.errorhook = function(e) { errors.push([e.message, e.proc]); };
+  });
+
+  // Handlers run between the statements of a running program, at the
+  // top level
+  this.assert_equals('make "done 0  every 1 [make "done 1  make "where "top]  ' +
+                     'to spin  local "where  make "where "spin  ' +
+                     'forever [.tick  if :done = 1 [clearevents  output :where]]  end  ' +
+                     '(list spin :where)', ['spin', 'top']);
+  this.assert_equals('openwrite [v]  setwrite [v]  onclick [make "w writer  print "shown]  ' +
+                     '.fire "click  print "kept  setwrite []  close [v]  (list :w :v)', [[], 'kept\n']);
+
+  // EVERY, CLEAREVENTS and LogoInterpreter#errorhook
+  this.assert_equals('make "ticks 0  every 1 [make "ticks :ticks + 1  if :ticks = 3 [clearevents]]  ' +
+                     'repeat 4 [.tick]  :ticks', 3);
+  // A handler doesn't see the procedure, CATCH or REPEAT it
+  // interrupts, and STOP just ends it
+  this.run('onmousemove [(throw "error [oops])]  ' +
+           'to twice  .fire "mousemove  .fire "mousemove  end  twice');
+  this.run('onclick [throw "x]  catch "x [.fire "click]');
+  this.run('onkey [output 1]  .fire "key  onclick [stop]  .fire "click');
+  this.run('onclick [make "r repcount]  repeat 2 [.fire "click]');
+  this.queue(function() {
+    window.setInterval = realSetInterval;
+    window.clearInterval = realClearInterval;
+    this.interpreter.routines['delete']('.tick');
+    this.interpreter.routines['delete']('.fire');
+    // The failed handlers were removed
+    t.deepEqual(errors, [['oops', undefined],
+                         ["Can't find catch tag for X", undefined],
+                         ["Don't know what to do with 1", undefined],
+                         ["No output from procedure", undefined]], 'errorhook');
+  });
 });
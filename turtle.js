@@ -21,6 +21,7 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
 
   // Stub for old browsers w/ canvas but no text functions
   canvas_ctx.fillText = canvas_ctx.fillText || function fillText(string, x, y) { };
+  canvas_ctx.setLineDash = canvas_ctx.setLineDash || function setLineDash(segments) { };
 
   width = Number(width);
   height = Number(height);
@@ -46,11 +47,15 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
       if (self.filling) {
         canvas_ctx.lineTo(x1, y1);
         canvas_ctx.lineTo(x2, y2);
+        recordFillLine(x1, y1, x2, y2);
       } else if (self.down) {
         canvas_ctx.beginPath();
         canvas_ctx.moveTo(x1, y1);
         canvas_ctx.lineTo(x2, y2);
+        canvas_ctx.lineDashOffset = self.dashoffset;
         canvas_ctx.stroke();
+        recordLine(x1, y1, x2, y2);
+        advanceDash(Math.hypot(x2 - x1, y2 - y1));
       }
     }
 
@@ -167,12 +172,6 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
 
     point = Math.abs(distance) < EPSILON;
 
-    if (point) {
-      saved_x = this.x;
-      saved_y = this.y;
-      distance = EPSILON;
-    }
-
     // Mostly for tests: limit precision
     var PRECISION = 10;
     function precision(n) {
@@ -180,6 +179,27 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
       return Math.round(n * f) / f;
     }
 
+    if (point) {
+      saved_x = this.x;
+      saved_y = this.y;
+      distance = EPSILON;
+    } else if (isFinite(this.speed)) {
+      // Move a bit further each frame, so wrap and fence apply as usual.
+      var moved = 0;
+      return animate(Math.abs(distance) / this.speed, function(fraction) {
+        var d = distance * fraction - moved;
+        x = self.x + d * Math.cos(self.r);
+        y = self.y + d * Math.sin(self.r);
+        // Ending where the instant move would
+        if (fraction === 1) {
+          x = precision(x);
+          y = precision(y);
+        }
+        moveto(x, y);
+        moved += d;
+      });
+    }
+
     x = precision(this.x + distance * Math.cos(this.r));
     y = precision(this.y + distance * Math.sin(this.r));
     moveto(x, y);
@@ -191,6 +211,12 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
   };
 
   this.turn = function(angle) {
+    if (isFinite(this.speed)) {
+      var r = this.r;
+      return animate(Math.abs(angle) / this.speed, function(fraction) {
+        self.r = r - deg2rad(angle * fraction);
+      });
+    }
     this.r -= deg2rad(angle);
   };
 
@@ -227,10 +253,13 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
     12: "salmon", 13: "purple", 14: "orange", 15: "gray"
   };
 
+  // Numbered colors; any of them can be changed, and more added.
+  var palette = Object.assign({}, STANDARD_COLORS);
+
   function parseColor(color) {
     color = String(color);
-    if (STANDARD_COLORS.hasOwnProperty(color))
-      return STANDARD_COLORS[color];
+    if (palette.hasOwnProperty(color))
+      return palette[color];
     if (self.colorAlias)
       return self.colorAlias(color) || color;
     return color;
@@ -243,17 +272,48 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
   };
   this.getcolor = function() { return this.color; };
 
+  this.setpalette = function(index, color) {
+    palette[index] = cssColor(color);
+    // Pick up the change if the pen is using this color.
+    setpenmode.call(this, this.penmode);
+  };
+
+  // Outputs [r, g, b], each 0...255; black if the index isn't set.
+  this.getpalette = function(index) {
+    return palette.hasOwnProperty(index) ? rgbColor(cssColor(index)) : [0, 0, 0];
+  };
+
   this.setbgcolor = function(color) {
     this.bgcolor = color;
     this.clear();
   };
   this.getbgcolor = function() { return this.bgcolor; };
 
-  this.setwidth = function(width) {
+  // Canvas pens are round, so lines are width wide; the height is
+  // only kept to be reported.
+  this.setwidth = function(width, height) {
     this.width = width;
+    this.penheight = (height === undefined) ? width : height;
     canvas_ctx.lineWidth = this.width;
   };
   this.getwidth = function() { return this.width; };
+  this.getpenheight = function() { return this.penheight; };
+
+  // Lengths of dashes and gaps, in turtle steps; empty for solid lines.
+  this.setpenpattern = function(pattern) {
+    this.pattern = pattern.slice();
+    this.dashoffset = 0;
+    canvas_ctx.setLineDash(this.pattern);
+  };
+  this.getpenpattern = function() { return this.pattern.slice(); };
+
+  // The pattern continues from where the last line left off.
+  function advanceDash(length) {
+    var period = self.pattern.reduce(function(a, b) { return a + b; }, 0);
+    if (self.pattern.length % 2)
+      period *= 2;
+    self.dashoffset = period ? mod(self.dashoffset + length, period) : 0;
+  }
 
   this.setfontsize = function(size) {
     this.fontsize = size;
@@ -271,6 +331,21 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
     x = (x === undefined) ? this.x : x;
     y = (y === undefined) ? this.y : y;
 
+    // Wrapping from outside the window, or to outside it, is done in
+    // one go (see moveto).
+    var w = width / this.sx, h = height / this.sy;
+    if (isFinite(this.speed) &&
+        !(this.turtlemode === 'wrap' &&
+          (this.was_oob || x < -w / 2 || x >= w / 2 || y < -h / 2 || y >= h / 2))) {
+      var x0 = this.x, y0 = this.y;
+      return animate(Math.hypot(x - x0, y - y0) / this.speed, function(fraction) {
+        if (fraction < 1)
+          moveto(x0 + (x - x0) * fraction, y0 + (y - y0) * fraction, /*setpos*/true);
+        else
+          moveto(x, y, /*setpos*/true);
+      });
+    }
+
     moveto(x, y, /*setpos*/true);
   };
 
@@ -300,6 +375,7 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
     } finally {
       canvas_ctx.restore();
     }
+    clearDisplay([]);
   };
 
   this.home = function() {
@@ -344,6 +420,41 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
     return [this.sx, this.sy];
   };
 
+  // Mouse state, updated by calling mousemove/mousedown/mouseup with
+  // the position in canvas pixels from the top left. Buttons are 1
+  // (left), 2 (right) or 3 (middle), or 0 if none is down.
+  var mouse = {pos: [0, 0], clickpos: [0, 0], button: 0};
+
+  function fromCanvas(px, py) {
+    return [(px - width / 2) / self.sx, (height / 2 - py) / self.sy];
+  }
+
+  this.mousemove = function(px, py) {
+    mouse.pos = fromCanvas(px, py);
+  };
+
+  this.mousedown = function(px, py, button) {
+    mouse.pos = mouse.clickpos = fromCanvas(px, py);
+    mouse.button = button;
+  };
+
+  this.mouseup = function(px, py) {
+    mouse.pos = fromCanvas(px, py);
+    mouse.button = 0;
+  };
+
+  this.getmousepos = function() {
+    return mouse.pos.slice();
+  };
+
+  this.getclickpos = function() {
+    return mouse.clickpos.slice();
+  };
+
+  this.getbutton = function() {
+    return mouse.button;
+  };
+
   this.drawtext = function(text) {
     canvas_ctx.save();
     canvas_ctx.translate(this.x, this.y);
@@ -351,6 +462,10 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
     canvas_ctx.rotate(-this.r);
     canvas_ctx.fillText(text, 0, 0);
     canvas_ctx.restore();
+    record(Object.assign({
+      type: 'text', text: String(text), x: this.x, y: this.y, r: this.r,
+      fontsize: this.fontsize, fontname: this.fontname
+    }, penStyle()));
   };
 
   this.filling = 0;
@@ -360,6 +475,7 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
       this.turtlemode = 'window';
       ++this.filling;
       canvas_ctx.beginPath();
+      fillPath = [];
     }
   };
 
@@ -373,16 +489,51 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
       if (this.down)
         canvas_ctx.stroke();
       this.turtlemode = this.saved_turtlemode;
+      record(Object.assign({
+        type: 'path', segments: fillPath, fill: cssColor(fillcolor), stroke: this.down
+      }, penStyle()));
     }
   };
 
   this.fill = function() {
-    canvas_ctx.floodFill(this.x, this.y);
+    // floodFill works in canvas pixels
+    var filled;
+    canvas_ctx.save();
+    try {
+      canvas_ctx.setTransform(1, 0, 0, 1, 0, 0);
+      filled = canvas_ctx.floodFill(width / 2 + this.x * this.sx, height / 2 - this.y * this.sy);
+    } finally {
+      canvas_ctx.restore();
+    }
+    if (filled) {
+      record({type: 'image', x: filled.x, y: filled.y,
+              width: filled.image.width, height: filled.image.height, image: filled.image});
+    }
   };
 
   this.arc = function(angle, radius) {
     var self = this;
 
+    if (isFinite(this.speed)) {
+      // Draw the arc canvas arc() would, a piece at a time.
+      var r = this.r, sweep = rad2deg(arcSweep(0, deg2rad(angle))), drawn = 0;
+      return animate(sweep / this.speed, function(fraction) {
+        if (sweep * fraction === drawn)
+          return;
+        self.r = r - deg2rad(drawn);
+        arc.call(self, sweep * fraction - drawn, radius);
+        self.r = r;
+        drawn = sweep * fraction;
+      });
+    }
+
+    arc.call(this, angle, radius);
+  };
+
+  function arc(angle, radius) {
+    var self = this;
+
+    canvas_ctx.lineDashOffset = self.dashoffset;
     if (self.turtlemode == 'wrap') {
       [self.x, self.x + width, self.x - width].forEach(function(x) {
         [self.y, self.y + height, self.y - height].forEach(function(y) {
@@ -391,6 +542,7 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
           canvas_ctx.arc(x, y, radius, -self.r, -self.r + deg2rad(angle), false);
           if (!self.filling)
             canvas_ctx.stroke();
+          recordArc(x, y, radius, -self.r, -self.r + deg2rad(angle));
         });
       });
     } else {
@@ -399,8 +551,11 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
       canvas_ctx.arc(self.x, self.y, radius, -self.r, -self.r + deg2rad(angle), false);
       if (!self.filling)
         canvas_ctx.stroke();
+      recordArc(self.x, self.y, radius, -self.r, -self.r + deg2rad(angle));
     }
-  };
+    if (!self.filling)
+      advanceDash(Math.abs(radius) * arcSweep(-self.r, -self.r + deg2rad(angle)));
+  }
 
   this.getstate = function() {
     return {
@@ -412,11 +567,15 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
       penmode: this.getpenmode(),
       turtlemode: this.getturtlemode(),
       width: this.getwidth(),
+      penheight: this.getpenheight(),
+      pattern: this.getpenpattern(),
       fontsize: this.getfontsize(),
       fontname: this.getfontname(),
       visible: this.isturtlevisible(),
       pendown: this.down,
-      scrunch: this.getscrunch()
+      scrunch: this.getscrunch(),
+      shape: this.getshape(),
+      size: this.getturtlesize()
     };
   };
 
@@ -424,101 +583,585 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
     if ((! state) || ! state.isturtlestate) {
       throw new Error("Tried to restore a state that is not a turtle state");
     }
+    // Restore the position without animating.
+    var speed = this.speed;
+    this.speed = Infinity;
     this.penup();
     this.hideturtle();
     this.setturtlemode(state.turtlemode);
     this.setcolor(state.color);
     this.setbgcolor(state.bgcolor);
-    this.setwidth(state.width);
+    this.setwidth(state.width, state.penheight);
+    if (state.pattern)
+      this.setpenpattern(state.pattern);
     this.setfontsize(state.fontsize);
     this.setfontname(state.fontname);
     this.setposition(state.xy[0], state.xy[1]);
     this.setheading(state.heading);
     this.setpenmode(state.penmode);
     this.setscrunch(state.scrunch[0], state.scrunch[1]);
+    if (state.shape)
+      this.setshape(state.shape);
+    if (state.size)
+      this.setturtlesize(state.size);
     if (state.visible) {
       this.showturtle();
     }
     if (state.pendown) {
       this.pendown();
     }
+    this.speed = speed;
   };
 
-  var last;
+  // The drawing as a PNG data URL
+  this.getimage = function() {
+    return canvas_ctx.canvas.toDataURL('image/png');
+  };
 
-  this.tick = function() {
-    function invert(p) { return [-p[0], p[1]]; }
+  // Replace the drawing with an image from a URL; returns a promise
+  // since the image loads asynchronously.
+  this.setimage = function(url) {
+    return new Promise(function(resolve, reject) {
+      var image = new Image();
+      image.onload = function() {
+        canvas_ctx.save();
+        try {
+          canvas_ctx.setTransform(1, 0, 0, 1, 0, 0);
+          canvas_ctx.globalCompositeOperation = 'source-over';
+          canvas_ctx.clearRect(0, 0, width, height);
+          canvas_ctx.drawImage(image, 0, 0);
+        } finally {
+          canvas_ctx.restore();
+        }
+        clearDisplay([{type: 'image', x: 0, y: 0, width: width, height: height, url: url}]);
+        resolve();
+      };
+      image.onerror = function() {
+        reject(new Error("Couldn't load image"));
+      };
+      image.src = url;
+    });
+  };
 
-    requestAnimationFrame(this.tick.bind(this));
-    var cur = JSON.stringify([this.x, this.y, this.r, this.visible, this.sx, this.sy, width, height]);
-    if (cur === last) return;
-    last = cur;
+  //
+  // Vector display list, for SVG and EPS export
+  //
+
+  // Everything drawn since the last clear, in turtle coordinates.
+  // Paths are lists of segments: ['M', x, y], ['L', x, y], or ['A', x,
+  // y, radius, start, end] with angles in radians as canvas arc() takes
+  // them. Images are placed in canvas pixels: a picture loaded with
+  // setimage, the pixels a flood fill colored (as ImageData until it
+  // is first exported, see imageURL), or the whole drawing once the
+  // list gets too big (see record). Erasing is approximated by
+  // painting in the background color.
+  var display = [], fillPath = [];
+
+  // Past this many path segments, or pixels of images, the display
+  // list is replaced by an image of the canvas
+  var MAX_DISPLAY_SEGMENTS = 100000;
+  var displaySegments = 0, displayPixels = 0;
+
+  function clearDisplay(items) {
+    display = items;
+    displaySegments = displayPixels = 0;
+  }
 
-    turtle_ctx.save();
-    turtle_ctx.setTransform(1, 0, 0, 1, 0, 0);
-    turtle_ctx.clearRect(0, 0, width, height);
-    turtle_ctx.restore();
+  function record(item) {
+    display.push(item);
+    recorded(item.segments ? item.segments.length : 0,
+             item.type === 'image' ? item.width * item.height : 0);
+  }
 
-    if (this.visible) {
-      var ctx = turtle_ctx;
-      ctx.save();
-      ctx.translate(this.x, this.y);
-      ctx.rotate(Math.PI/2 + this.r);
-      ctx.beginPath();
+  // Call when the display list has grown
+  function recorded(segments, pixels) {
+    displaySegments += segments;
+    displayPixels += pixels;
+    if (displaySegments > MAX_DISPLAY_SEGMENTS || displayPixels > 4 * width * height) {
+      clearDisplay([{type: 'image', x: 0, y: 0, width: width, height: height,
+                     url: canvas_ctx.canvas.toDataURL('image/png')}]);
+    }
+  }
+
+  function imageURL(item) {
+    if (item.url === undefined) {
+      var canvas = document.createElement('canvas');
+      canvas.width = item.width;
+      canvas.height = item.height;
+      canvas.getContext('2d').putImageData(item.image, 0, 0);
+      item.url = canvas.toDataURL('image/png');
+      item.image = undefined;
+    }
+    return item.url;
+  }
+
+  // Color as the canvas normalizes it, e.g. '#rrggbb'; cached, since
+  // every line recorded needs one
+  var cssColors = new Map();
+  function cssColor(color) {
+    color = parseColor(color);
+    if (!cssColors.has(color)) {
+      canvas_ctx.save();
+      canvas_ctx.fillStyle = color;
+      cssColors.set(color, canvas_ctx.fillStyle);
+      canvas_ctx.restore();
+    }
+    return cssColors.get(color);
+  }
+
+  function penStyle() {
+    return {
+      color: cssColor(self.penmode === 'erase' ? self.bgcolor : self.color),
+      width: self.width,
+      pattern: self.pattern.slice(),
+      dashoffset: self.dashoffset,
+      scrunch: [self.sx, self.sy]
+    };
+  }
+
+  function sameStyle(a, b) {
+    return a.color === b.color && a.width === b.width &&
+      a.pattern.join(' ') === b.pattern.join(' ') &&
+      a.scrunch[0] === b.scrunch[0] && a.scrunch[1] === b.scrunch[1];
+  }
+
+  // Extends the previous line if this one continues it.
+  function recordLine(x1, y1, x2, y2) {
+    var style = penStyle(), item = display[display.length - 1];
+    if (item && item.type === 'path' && !item.fill && sameStyle(item, style)) {
+      var end = item.segments[item.segments.length - 1];
+      if (end[0] === 'L' && end[1] === x1 && end[2] === y1) {
+        item.segments.push(['L', x2, y2]);
+        recorded(1, 0);
+        return;
+      }
+    }
+    record(Object.assign({
+      type: 'path', segments: [['M', x1, y1], ['L', x2, y2]], stroke: true
+    }, style));
+  }
+
+  function recordFillLine(x1, y1, x2, y2) {
+    var end = fillPath[fillPath.length - 1];
+    if (!end)
+      fillPath.push(['M', x1, y1]);
+    else if (end[0] === 'A' || end[1] !== x1 || end[2] !== y1)
+      fillPath.push(['L', x1, y1]);
+    fillPath.push(['L', x2, y2]);
+  }
+
+  function recordArc(x, y, radius, start, end) {
+    var segment = ['A', x, y, radius, start, end];
+    if (self.filling) {
+      fillPath.push(segment);
+      return;
+    }
+    record(Object.assign({
+      type: 'path', segments: [segment], stroke: true
+    }, penStyle()));
+  }
 
+  // Whether the EPS of the drawing leaves out images, which it can't
+  // include.
+  this.hasimages = function() {
+    return display.some(function(item) { return item.type === 'image'; });
+  };
+
+  // Angle swept by canvas arc() from start to end, as it draws them:
+  // always increasing, and at most one full turn
+  function arcSweep(start, end) {
+    return (end - start >= 2 * Math.PI) ? 2 * Math.PI : mod(end - start, 2 * Math.PI);
+  }
+
+  function num(n) {
+    return String(Math.round(n * 1000) / 1000);
+  }
+
+  function svgPath(segments) {
+    return segments.map(function(segment, index) {
+      if (segment[0] !== 'A')
+        return segment[0] + num(segment[1]) + ' ' + num(segment[2]);
+
+      var x = segment[1], y = segment[2], radius = segment[3],
+          start = segment[4], sweep = arcSweep(segment[4], segment[5]);
+      function point(a) {
+        return num(x + radius * Math.cos(a)) + ' ' + num(y + radius * Math.sin(a));
+      }
+      function arc(large, a) {
+        return 'A' + num(radius) + ' ' + num(radius) + ' 0 ' + large + ' 1 ' + point(a);
+      }
+      var d = (index ? 'L' : 'M') + point(start);
+      // SVG can't draw a full circle as one arc.
+      if (sweep === 2 * Math.PI)
+        return d + ' ' + arc(0, start + Math.PI) + ' ' + arc(0, start);
+      return d + ' ' + arc(sweep > Math.PI ? 1 : 0, start + sweep);
+    }).join(' ');
+  }
+
+  function escapeXML(s) {
+    return s.replace(/[&<>"]/g, function(c) { return '&#' + c.charCodeAt(0) + ';'; });
+  }
+
+  // The drawing as an SVG document
+  this.getsvg = function() {
+    var out = [
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+        ' width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">',
+      '<rect width="' + width + '" height="' + height + '" fill="' + cssColor(this.bgcolor) + '"/>'
+    ];
+    var group = null;
+    display.forEach(function(item) {
+      var key = item.scrunch ? item.scrunch.join(' ') : null;
+      if (key !== group) {
+        if (group !== null)
+          out.push('</g>');
+        if (key !== null)
+          out.push('<g transform="matrix(' + item.scrunch[0] + ' 0 0 ' + (-item.scrunch[1]) + ' ' +
+                   (width / 2) + ' ' + (height / 2) + ')" stroke-linecap="round" stroke-linejoin="round">');
+        group = key;
+      }
+      switch (item.type) {
+      case 'image':
+        out.push('<image x="' + item.x + '" y="' + item.y + '" width="' + item.width + '" height="' + item.height + '"' +
+                 ' xlink:href="' + escapeXML(imageURL(item)) + '"/>');
+        break;
+      case 'path':
+        if (!item.segments.length)
+          break;
+        out.push('<path d="' + svgPath(item.segments) + (item.fill ? ' Z' : '') + '"' +
+                 ' fill="' + (item.fill || 'none') + '"' +
+                 ' stroke="' + (item.stroke ? item.color : 'none') + '"' +
+                 ' stroke-width="' + num(item.width) + '"' +
+                 (item.stroke && item.pattern.length ?
+                  ' stroke-dasharray="' + item.pattern.map(num).join(' ') + '"' +
+                  ' stroke-dashoffset="' + num(item.dashoffset) + '"' : '') + '/>');
+        break;
+      case 'text':
+        out.push('<text transform="translate(' + num(item.x) + ' ' + num(item.y) + ') scale(1 -1)' +
+                 ' rotate(' + num(-rad2deg(item.r)) + ')"' +
+                 ' font-size="' + num(item.fontsize) + '" font-family="' + escapeXML(item.fontname) + '"' +
+                 ' fill="' + item.color + '">' + escapeXML(item.text) + '</text>');
+        break;
+      }
+    });
+    if (group !== null)
+      out.push('</g>');
+    out.push('</svg>');
+    return out.join('\n');
+  };
+
+  // '#rrggbb' or 'rgba(r, g, b, a)' as [r, g, b]
+  function rgbColor(color) {
+    var m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+    if (m)
+      return m.slice(1).map(function(h) { return parseInt(h, 16); });
+    if ((m = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(color)))
+      return m.slice(1).map(Number);
+    return [0, 0, 0];
+  }
+
+  function psColor(color) {
+    return rgbColor(color).map(function(n) { return num(n / 255); }).join(' ') + ' setrgbcolor';
+  }
+
+  function psPath(segments) {
+    return segments.map(function(segment) {
+      switch (segment[0]) {
+      case 'M': return num(segment[1]) + ' ' + num(segment[2]) + ' moveto';
+      case 'L': return num(segment[1]) + ' ' + num(segment[2]) + ' lineto';
+      case 'A':
+        return segment.slice(1, 4).map(num).join(' ') + ' ' + num(rad2deg(segment[4])) + ' ' +
+          num(rad2deg(segment[4] + arcSweep(segment[4], segment[5]))) + ' arc';
+      }
+    }).join(' ');
+  }
+
+  function psString(s) {
+    return '(' + s.replace(/[()\\]/g, '\\$&') + ')';
+  }
+
+  var PS_FONTS = {
+    'serif': 'Times-Roman', 'sans-serif': 'Helvetica', 'monospace': 'Courier'
+  };
+
+  // The drawing as Encapsulated PostScript. Images can't be included.
+  this.geteps = function() {
+    var out = [
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      '%%BoundingBox: 0 0 ' + width + ' ' + height,
+      '%%EndComments',
+      psColor(cssColor(this.bgcolor)) + ' 0 0 ' + width + ' ' + height + ' rectfill',
+      '1 setlinecap 1 setlinejoin'
+    ];
+    display.forEach(function(item) {
+      if (item.type === 'image')
+        return;
+      out.push('gsave ' + (width / 2) + ' ' + (height / 2) + ' translate ' +
+               item.scrunch[0] + ' ' + item.scrunch[1] + ' scale');
+      switch (item.type) {
+      case 'path':
+        if (!item.segments.length)
+          break;
+        out.push('newpath ' + psPath(item.segments));
+        if (item.fill)
+          out.push('closepath gsave ' + psColor(item.fill) + ' fill grestore');
+        if (item.stroke)
+          out.push(psColor(item.color) + ' ' + num(item.width) + ' setlinewidth ' +
+                   '[' + item.pattern.map(num).join(' ') + '] ' + num(item.dashoffset) + ' setdash stroke');
+        break;
+      case 'text':
+        out.push('/' + (PS_FONTS[String(item.fontname).toLowerCase()] || 'Helvetica') + ' findfont ' +
+                 num(item.fontsize) + ' scalefont setfont ' + psColor(item.color));
+        out.push(num(item.x) + ' ' + num(item.y) + ' translate ' + num(rad2deg(item.r)) + ' rotate' +
+                 ' 0 0 moveto ' + psString(item.text) + ' show');
+        break;
+      }
+      out.push('grestore');
+    });
+    out.push('showpage', '%%EOF');
+    return out.join('\n');
+  };
+
+  //
+  // Turtle shapes
+  //
+
+  // Polygons as [x, y] points in turtle steps at size 1, with x to the
+  // turtle's right and y ahead of it.
+  var SHAPES = {
+    turtle: (function() {
       var points = [
-        [0, -20], // Head
-        [2.5, -17],
-        [3, -12],
+        [0, 20], // Head
+        [2.5, 17],
+        [3, 12],
 
-        [6, -10],
-        [9, -13], // Arm
-        [13, -12],
-        [18, -4],
+        [6, 10],
+        [9, 13], // Arm
+        [13, 12],
+        [18, 4],
         [18, 0],
-        [14, -1],
-        [10, -7],
+        [14, 1],
+        [10, 7],
 
-        [8, -6], // Shell
-        [10, -2],
-        [9, 3],
-        [6, 10],
+        [8, 6], // Shell
+        [10, 2],
+        [9, -3],
+        [6, -10],
 
-        [9, 13], // Foot
-        [6, 15],
-        [3, 12],
+        [9, -13], // Foot
+        [6, -15],
+        [3, -12],
 
-        [0, 13],
+        [0, -13],
       ];
+      return points.concat(points.slice(1, -1).reverse().map(function(p) {
+        return [-p[0], p[1]];
+      }));
+    }()),
+    arrow: [[0, 15], [10, -10], [0, -5], [-10, -10]],
+    circle: Array.from({length: 36}, function(_, i) {
+      return [10 * Math.cos(i * Math.PI / 18), 10 * Math.sin(i * Math.PI / 18)];
+    }),
+    square: [[-10, -10], [-10, 10], [10, 10], [10, -10]]
+  };
 
-      points.concat(points.slice(1, -1).reverse().map(invert))
-        .forEach(function(pair, index) {
-          ctx[index ? 'lineTo' : 'moveTo'](pair[0], pair[1]);
-        });
+  // A shape name or a list of points
+  this.setshape = function(shape) {
+    this.shape = (typeof shape === 'string') ? shape.toLowerCase() :
+      shape.map(function(point) { return point.slice(); });
+  };
+  this.getshape = function() {
+    return (typeof this.shape === 'string') ? this.shape :
+      this.shape.map(function(point) { return point.slice(); });
+  };
+  this.getshapes = function() { return Object.keys(SHAPES); };
+
+  this.setturtlesize = function(size) { this.size = size; };
+  this.getturtlesize = function() { return this.size; };
+
+  // A turtle's shape in turtle coordinates, at its position and heading
+  function shapePoints(turtle) {
+    var points = (typeof turtle.shape === 'string') ? SHAPES[turtle.shape] : turtle.shape,
+        cos = Math.cos(turtle.r - Math.PI / 2) * turtle.size,
+        sin = Math.sin(turtle.r - Math.PI / 2) * turtle.size;
+    return points.map(function(p) {
+      return [turtle.x + p[0] * cos - p[1] * sin, turtle.y + p[0] * sin + p[1] * cos];
+    });
+  }
 
-      ctx.closePath();
-      ctx.stroke();
+  function tracePolygon(ctx, points) {
+    ctx.beginPath();
+    points.forEach(function(p, index) {
+      ctx[index ? 'lineTo' : 'moveTo'](p[0], p[1]);
+    });
+    ctx.closePath();
+  }
 
-      ctx.restore();
-    }
+  // Fill the turtle's shape with the pen color
+  this.stamp = function() {
+    var points = shapePoints(this);
+    tracePolygon(canvas_ctx, points);
+    canvas_ctx.fill();
+    record(Object.assign({
+      type: 'path',
+      segments: points.map(function(p, index) { return [index ? 'L' : 'M', p[0], p[1]]; }),
+      fill: cssColor(this.penmode === 'erase' ? this.bgcolor : this.color), stroke: false
+    }, penStyle()));
+  };
+
+  //
+  // Multiple turtles
+  //
+
+  // Each turtle's own state. The selected turtle's state lives in the
+  // properties of this object, and is saved here when another is
+  // selected. Turtles are numbered from 0, and created when first told.
+  var TURTLE_STATE = ['x', 'y', 'px', 'py', 'r', 'down', 'color', 'width', 'penheight',
+                      'penmode', 'pattern', 'dashoffset', 'visible', 'was_oob', 'shape', 'size'];
+
+  function newTurtle() {
+    return {
+      x: 0, y: 0, px: 0, py: 0, r: Math.PI / 2, down: true, color: '#000000', width: 1,
+      penheight: 1, penmode: 'paint', pattern: [], dashoffset: 0, visible: true, was_oob: false,
+      shape: 'turtle', size: 1
+    };
+  }
+
+  var turtles = {0: newTurtle()}, current = 0, told = [0];
+
+  // Sets up the canvas for the selected turtle's pen.
+  var setpenmode = this.setpenmode;
+
+  function saveTurtle() {
+    TURTLE_STATE.forEach(function(key) { turtles[current][key] = self[key]; });
+  }
+
+  function selectTurtle(n) {
+    if (n === current)
+      return;
+    saveTurtle();
+    if (!turtles.hasOwnProperty(n))
+      turtles[n] = newTurtle();
+    current = n;
+    TURTLE_STATE.forEach(function(key) { self[key] = turtles[n][key]; });
+    canvas_ctx.lineWidth = self.width;
+    canvas_ctx.setLineDash(self.pattern);
+    setpenmode.call(self, self.penmode);
+  }
+
+  // Commands go to every told turtle; queries answer for the first.
+  this.tell = function(list) {
+    told = list.slice();
+    selectTurtle(told[0]);
+  };
+  this.gettold = function() { return told.slice(); };
+
+  this.getturtles = function() {
+    return Object.keys(turtles).map(Number).sort(function(a, b) { return a - b; });
+  };
+
+  ['move', 'turn', 'penup', 'pendown', 'setpenmode', 'setcolor', 'setwidth', 'setposition',
+   'setheading', 'home', 'showturtle', 'hideturtle', 'drawtext', 'arc', 'fill',
+   'setshape', 'setturtlesize', 'stamp', 'setpenpattern'
+  ].forEach(function(name) {
+    var command = self[name];
+    self[name] = function() {
+      var args = arguments, results = told.map(function(n) {
+        selectTurtle(n);
+        return command.apply(self, args);
+      });
+      selectTurtle(told[0]);
+      // Animated commands run together.
+      if (results.some(function(result) { return result instanceof Promise; }))
+        return Promise.all(results).then(function() {});
+      return results[results.length - 1];
+    };
+  });
+
+  //
+  // Animation
+  //
+
+  // Turtle steps (or degrees, turning) per second; Infinity to move
+  // instantly.
+  this.speed = Infinity;
+  this.setspeed = function(speed) { this.speed = speed; };
+  this.getspeed = function() { return this.speed; };
+
+  var animations = [];
+
+  // Calls step(fraction) for the selected turtle on animation frames,
+  // as fraction goes from 0 to 1 over the given number of seconds.
+  // Returns a promise that resolves when done.
+  function animate(seconds, step) {
+    var n = current, start, done = false;
+    return new Promise(function(resolve) {
+      function advance(fraction) {
+        var selected = current;
+        selectTurtle(n);
+        step(fraction);
+        selectTurtle(selected);
+      }
+      var animation = {finish: function() {
+        if (done) return;
+        done = true;
+        animations.splice(animations.indexOf(animation), 1);
+        advance(1);
+        resolve();
+      }};
+      animations.push(animation);
+      function frame(time) {
+        if (done) return;
+        if (start === undefined) start = time;
+        var fraction = seconds > 0 ? (time - start) / 1000 / seconds : 1;
+        if (fraction >= 1) {
+          animation.finish();
+          return;
+        }
+        if (fraction > 0)
+          advance(fraction);
+        requestAnimationFrame(frame);
+      }
+      requestAnimationFrame(frame);
+    });
+  }
+
+  // Complete any animations immediately, e.g. when stopping.
+  this.finish = function() {
+    animations.slice().forEach(function(animation) { animation.finish(); });
+  };
+
+  var last;
+
+  this.tick = function() {
+    requestAnimationFrame(this.tick.bind(this));
+    saveTurtle();
+    var cur = JSON.stringify([turtles, this.sx, this.sy, width, height]);
+    if (cur === last) return;
+    last = cur;
+
+    turtle_ctx.save();
+    turtle_ctx.setTransform(1, 0, 0, 1, 0, 0);
+    turtle_ctx.clearRect(0, 0, width, height);
+    turtle_ctx.restore();
+
+    Object.keys(turtles).forEach(function(n) {
+      var turtle = turtles[n];
+      if (!turtle.visible)
+        return;
+      tracePolygon(turtle_ctx, shapePoints(turtle));
+      turtle_ctx.stroke();
+    });
   };
 
-  this.x = this.py = 0;
-  this.y = this.py = 0;
-  this.r = Math.PI / 2;
+  Object.assign(this, turtles[current]);
 
   this.sx = this.sy = 1;
 
   this.bgcolor = '#ffffff';
-  this.color = '#000000';
-  this.width = 1;
-  this.penmode = 'paint';
   this.fontsize = 14;
   this.fontname = 'sans-serif';
   this.turtlemode = 'wrap';
-  this.visible = true;
-  this.down = true;
-  this.was_oob = false;
 
   function init() {
     turtle_ctx.lineCap = 'round';
@@ -527,9 +1170,10 @@ function CanvasTurtle(canvas_ctx, turtle_ctx, width, height) {
 
     canvas_ctx.lineCap = 'round';
     canvas_ctx.lineWidth = self.width;
+    canvas_ctx.setLineDash(self.pattern);
     canvas_ctx.font = font(self.fontsize, self.fontname);
 
-    self.setpenmode(self.penmode);
+    setpenmode.call(self, self.penmode);
 
     [turtle_ctx, canvas_ctx].forEach(function(ctx) {
       ctx.setTransform(self.sx, 0, 0, -self.sy, width / 2, height / 2);